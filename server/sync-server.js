@@ -0,0 +1,100 @@
+// Small self-hostable sync server for Things To Buy
+//
+//   npm run sync-server
+//
+// Environment:
+//   PORT         port to listen on (default 8787)
+//   SYNC_DATA    JSON file the documents are kept in (default ./sync-data.json)
+//   SYNC_TOKEN   if set, clients must send "Authorization: Bearer <token>"
+//   SYNC_ORIGIN  allowed browser origin for CORS (default *)
+//
+// Endpoints (see src/utils/syncTransport.js):
+//   POST /push           body { docs }  ->  { cursor }
+//   GET  /pull?since=N                  ->  { docs, cursor }
+
+import { createServer } from 'node:http'
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs'
+import { createSyncServer } from '../src/utils/syncServer.js'
+
+const PORT = Number(process.env.PORT) || 8787
+const DATA_FILE = process.env.SYNC_DATA || 'sync-data.json'
+const TOKEN = process.env.SYNC_TOKEN || ''
+const ORIGIN = process.env.SYNC_ORIGIN || '*'
+const MAX_BODY_BYTES = 5 * 1024 * 1024
+
+// Load saved state, starting empty when there is none
+const loadState = () => {
+  if (!existsSync(DATA_FILE)) return { seq: 0, docs: {} }
+  return JSON.parse(readFileSync(DATA_FILE, 'utf8'))
+}
+
+// Write state through a temporary file so a crash never leaves half a file behind
+const saveState = (state) => {
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(state))
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE)
+}
+
+const syncServer = createSyncServer(loadState(), saveState)
+
+// Send a JSON reply with CORS headers
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ORIGIN,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  })
+  res.end(body === undefined ? '' : JSON.stringify(body))
+}
+
+// Read a request body as JSON, refusing oversized bodies
+const readJSON = (req) => new Promise((resolve, reject) => {
+  const chunks = []
+  let size = 0
+  req.on('data', (chunk) => {
+    size += chunk.length
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'))
+      req.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+    } catch {
+      reject(new Error('Request body is not valid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendJSON(res, 204)
+    return
+  }
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJSON(res, 401, { error: 'Unauthorized' })
+    return
+  }
+
+  const url = new URL(req.url, 'http://localhost')
+  try {
+    if (req.method === 'POST' && url.pathname === '/push') {
+      const { docs } = await readJSON(req)
+      sendJSON(res, 200, syncServer.push(docs))
+    } else if (req.method === 'GET' && url.pathname === '/pull') {
+      sendJSON(res, 200, syncServer.pull(Number(url.searchParams.get('since')) || 0))
+    } else {
+      sendJSON(res, 404, { error: 'Not found' })
+    }
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data in ${DATA_FILE})`)
+})
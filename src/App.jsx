@@ -1,20 +1,160 @@
-import { useState, useEffect } from 'react'
-import { getAllItems, saveAllItems, deleteItem as deleteItemFromDB } from './utils/indexedDB'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import {
+  getAllItems,
+  saveAllItems,
+  getAllLists,
+  saveList,
+  deleteList as deleteListFromDB,
+  createDefaultList,
+  DEFAULT_LIST_ID,
+  getAllRates,
+  saveAllRates,
+  getSetting,
+  saveSetting,
+  getAllBudgets,
+  saveBudget,
+  deleteBudget as deleteBudgetFromDB,
+  getAllSettings,
+  replaceBackupStores,
+  getAllTrash,
+  purgeTrash,
+  getAllPriceHistory,
+  addPriceHistoryEntry,
+  deletePriceHistory,
+  subscribeToDatabaseEvents,
+  clearSyncDocs
+} from './utils/indexedDB'
+import { calculateSpentTotals, calculateTotals, calculateTotalsByCategory, getListStats } from './utils/totals'
+import { formatVariants, getQuantity, getQuantityBought, migrateItemQuantity, parseQuantity, setQuantityBought } from './utils/quantity'
+import { DEFAULT_PRIORITY, formatTags, groupItems, migrateItemDetails } from './utils/itemDetails'
+import { CURRENCIES, DEFAULT_CURRENCY, parsePrice, formatAmountInput, formatMoney, formatTotals, migrateItemPrice } from './utils/price'
+import { calculateGrandTotal, rebaseRates } from './utils/exchangeRates'
+import { queueItemChanges, queueTrashChange, flushItemWrites, flushItemWritesOnHide, subscribeToSkippedWrites } from './utils/itemRepository'
+import { getStateImageIds, patchItems, patchTrash } from './utils/history'
+import { getNextUpdatedAt, mergeRemoteItems, subscribeToTabChanges } from './utils/tabSync'
+import { runSync, SYNC_SETTING_KEYS } from './utils/syncEngine'
+import { createHttpTransport } from './utils/syncTransport'
+import { moveToIndex } from './utils/ordering'
+import { focusFirstError, readItemForm } from './utils/itemForm'
+import { findItemWithLink } from './utils/links'
+import { findDueItems, getDueSoon, restockItem } from './utils/recurring'
+import { applyView, readListIdFromURL, readViewFromURL, writeViewToURL } from './utils/itemFilters'
+import { getFreeShippingStatus, getUnaliasedDomains, getVendor, groupItemsByVendor } from './utils/vendors'
+import { applyClaim, clearShareHash, decodeSharePayload, mergeSharedItems, readShareFromHash } from './utils/share'
+import { collectOrphanedImages, dropMissingImages, storeImageFromURL } from './utils/images'
+import { clearQuickAddFromURL, fillFormFromMetadata, readQuickAddFromURL } from './utils/productMetadata'
+import { groupPriceHistory, isAtOrBelowTarget, notifyPriceDrop, requestPriceAlertPermission } from './utils/priceHistory'
+import { useUndoHistory } from './hooks/useUndoHistory'
+import { useItemSelection } from './hooks/useItemSelection'
+import { useServiceWorkerUpdate } from './hooks/useServiceWorkerUpdate'
+import { buildBackup, itemsToCSV, mergeByKey } from './utils/backup'
+import { downloadFile } from './utils/download'
+import { findBudgetsExceededBy, getApplicableBudgets, getBudgetLabel, getBudgetStatus } from './utils/budgets'
+import ListSwitcher from './components/ListSwitcher'
+import ItemCard from './components/ItemCard'
+import ExchangeRatesPanel from './components/ExchangeRatesPanel'
+import BudgetPanel from './components/BudgetPanel'
+import BudgetStatus from './components/BudgetStatus'
+import BackupPanel from './components/BackupPanel'
+import TrashPanel from './components/TrashPanel'
+import SharePanel from './components/SharePanel'
+import SharedListView from './components/SharedListView'
+import ClaimImportPanel from './components/ClaimImportPanel'
+import SyncPanel from './components/SyncPanel'
+import QuickAddPanel from './components/QuickAddPanel'
+import VendorsPanel from './components/VendorsPanel'
+import StoreGroupHeader from './components/StoreGroupHeader'
+import AnalyticsPanel from './components/AnalyticsPanel'
+import PlannerPanel from './components/PlannerPanel'
+import BatchActionBar from './components/BatchActionBar'
+import SortableItemList from './components/SortableItemList'
+import DueSoonPanel from './components/DueSoonPanel'
+import SelectAllCheckbox from './components/SelectAllCheckbox'
+import ItemToolbar from './components/ItemToolbar'
+import ItemForm from './components/ItemForm'
+import Toast from './components/Toast'
+import UpdatePrompt from './components/UpdatePrompt'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+// "1 item" or "3 items", for batch action labels
+const countItems = (count) => `${count} ${count === 1 ? 'item' : 'items'}`
+
+// Whether two budgets cover the same scope; only one budget is kept per scope
+const isSameBudgetScope = (a, b) => a.scope === b.scope && a.listId === b.listId && a.month === b.month
+
+const emptyDetails = {
+  quantity: '1',
+  variants: '',
+  priority: DEFAULT_PRIORITY,
+  category: '',
+  tags: '',
+  buyTogether: '',
+  repeat: '',
+  repeatDays: '',
+  notes: ''
+}
+
+const emptyEditData = {
+  name: '',
+  link: '',
+  price: '',
+  currency: DEFAULT_CURRENCY,
+  target: '',
+  paid: '',
+  quantityBought: '0',
+  imageId: null,
+  ...emptyDetails
+}
 
 function App() {
   const [items, setItems] = useState([])
+  const [lists, setLists] = useState([])
+  const [activeListId, setActiveListId] = useState(DEFAULT_LIST_ID)
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY)
+  const [rates, setRates] = useState([])
+  const [budgets, setBudgets] = useState([])
+  const [trash, setTrash] = useState([])
+  const [priceHistory, setPriceHistory] = useState([])
+  const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS)
+  const [toast, setToast] = useState(null)
+  // Shared list being viewed read-only, or reservations sent back, as { kind, data, errors }
+  const [shared, setShared] = useState(null)
+  const [surpriseMode, setSurpriseMode] = useState(false)
+  // 'outdated' once another tab upgraded the database, 'blocked' while our upgrade waits on other tabs
+  const [databaseStatus, setDatabaseStatus] = useState(null)
+  const [vendorAliases, setVendorAliases] = useState([])
+  const [freeShippingThresholds, setFreeShippingThresholds] = useState([])
+  const [syncSettings, setSyncSettings] = useState({ url: '', token: '' })
+  const [syncStatus, setSyncStatus] = useState({ isSyncing: false, lastSyncedAt: null, message: '', error: '' })
+  const [view, setView] = useState(() => readViewFromURL(window.location.search))
+  const history = useUndoHistory()
+  // Images that undoing or redoing a change would bring back, kept out of image collection
+  const heldImageIds = history.entries.flatMap(entry => entry.imageIds)
+  const selection = useItemSelection()
+  const appUpdate = useServiceWorkerUpdate()
   const [isLoading, setIsLoading] = useState(true)
   const [formData, setFormData] = useState({
     name: '',
     link: '',
-    price: ''
+    price: '',
+    currency: DEFAULT_CURRENCY,
+    target: '',
+    imageId: null,
+    ...emptyDetails
   })
   const [editingId, setEditingId] = useState(null)
-  const [editData, setEditData] = useState({
-    name: '',
-    link: '',
-    price: ''
-  })
+  const [editData, setEditData] = useState(emptyEditData)
+  // Errors are shown once saving has been tried, then update as the fields are fixed
+  const [formAttempted, setFormAttempted] = useState(false)
+  const [editAttempted, setEditAttempted] = useState(false)
+  // Time recurring items were last checked for being due
+  const [dueCheckAt, setDueCheckAt] = useState(null)
+  // Items as last handed to the repository, used to work out which records changed
+  const persistedItemsRef = useRef(null)
+  // Latest items, for handlers that run outside a render such as the due check
+  const itemsRef = useRef(items)
 
   // Load items from IndexedDB on mount
   useEffect(() => {
@@ -23,12 +163,47 @@ function App() {
         setIsLoading(true)
         const loadedItems = await getAllItems()
         setItems(loadedItems)
+
+        let loadedLists = await getAllLists()
+        if (loadedLists.length === 0) {
+          const defaultList = createDefaultList()
+          await saveList(defaultList)
+          loadedLists = [defaultList]
+        }
+        setLists(loadedLists)
+        setActiveListId(
+          readListIdFromURL(window.location.search, loadedLists) ??
+          (loadedLists.find(list => !list.archived) || loadedLists[0]).id
+        )
+
+        setBaseCurrency(await getSetting('baseCurrency', DEFAULT_CURRENCY))
+        setSurpriseMode(await getSetting('surpriseMode', false))
+        setVendorAliases(await getSetting('vendorAliases', []))
+        setFreeShippingThresholds(await getSetting('freeShippingThresholds', []))
+        setSyncSettings({ url: await getSetting('syncServerURL', ''), token: await getSetting('syncToken', '') })
+        const lastSyncedAt = await getSetting('lastSyncedAt', null)
+        setSyncStatus(prev => ({ ...prev, lastSyncedAt }))
+        setRates(await getAllRates())
+        setBudgets(await getAllBudgets())
+        setPriceHistory(await getAllPriceHistory())
+
+        // Purge trashed items older than the retention period
+        const retentionDays = await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS)
+        setTrashRetentionDays(retentionDays)
+        const purgedIds = await purgeTrash(Date.now() - retentionDays * DAY_MS)
+        if (purgedIds.length > 0) {
+          setPriceHistory(prev => prev.filter(entry => !purgedIds.includes(entry.itemId)))
+        }
+        const loadedTrash = await getAllTrash()
+        setTrash(loadedTrash)
+        collectOrphanedImages(loadedItems, loadedTrash)
         
         // Migrate from localStorage if IndexedDB is empty but localStorage has data
         if (loadedItems.length === 0) {
           const savedItems = localStorage.getItem('wishlistItems')
           if (savedItems) {
             const parsedItems = JSON.parse(savedItems)
+              .map(item => migrateItemQuantity(migrateItemDetails(migrateItemPrice({ ...item, listId: DEFAULT_LIST_ID }))))
             if (parsedItems.length > 0) {
               await saveAllItems(parsedItems)
               setItems(parsedItems)
@@ -46,22 +221,190 @@ function App() {
     loadItems()
   }, [])
 
-  // Save items to IndexedDB whenever items change (debounced)
+  // Queue writes for the items that changed; the repository debounces and batches them
   useEffect(() => {
-    if (!isLoading && items.length >= 0) {
-      const saveItems = async () => {
-        try {
-          await saveAllItems(items)
-        } catch (error) {
-          console.error('Error saving items:', error)
+    if (isLoading) return
+    if (persistedItemsRef.current) {
+      queueItemChanges(persistedItemsRef.current, items)
+    }
+    persistedItemsRef.current = items
+  }, [items, isLoading])
+
+  // Download a product image found by quick add into the add form, unless one was picked meanwhile
+  const attachQuickAddImage = async (imageURL) => {
+    if (!imageURL) return
+    try {
+      const imageId = await storeImageFromURL(imageURL)
+      setFormData(prev => prev.imageId ? prev : { ...prev, imageId })
+    } catch (error) {
+      // Most stores do not allow downloading their images from here; the item just has no picture
+      console.warn('Could not download product image:', error)
+    }
+  }
+
+  // Prefill the add form from the bookmarklet's query parameters
+  useEffect(() => {
+    const found = readQuickAddFromURL(window.location.search)
+    if (found) {
+      setFormData(prev => fillFormFromMetadata(prev, found))
+      clearQuickAddFromURL()
+      attachQuickAddImage(found.image)
+    }
+  }, [])
+
+  // Open shared-list links, both on load and when one is pasted into an open tab
+  useEffect(() => {
+    const openSharedLink = async () => {
+      const encoded = readShareFromHash(window.location.hash)
+      if (encoded) {
+        setShared(await decodeSharePayload(encoded))
+      }
+    }
+
+    openSharedLink()
+    window.addEventListener('hashchange', openSharedLink)
+    return () => window.removeEventListener('hashchange', openSharedLink)
+  }, [])
+
+  // Apply changes made in other tabs
+  useEffect(() => {
+    // Re-read whole stores another tab replaced or changed
+    const reloadStores = async (stores) => {
+      if (stores.includes('items')) {
+        await flushItemWrites()
+        const loadedItems = await getAllItems()
+        persistedItemsRef.current = loadedItems
+        setItems(loadedItems)
+      }
+      if (stores.includes('lists')) {
+        const loadedLists = await getAllLists()
+        setLists(loadedLists)
+        // Another tab may have deleted the list this one is showing
+        setActiveListId(prev => loadedLists.some(list => list.id === prev)
+          ? prev
+          : (loadedLists.find(list => !list.archived) || loadedLists[0])?.id ?? prev)
+      }
+      if (stores.includes('rates')) setRates(await getAllRates())
+      if (stores.includes('budgets')) setBudgets(await getAllBudgets())
+      if (stores.includes('trash')) setTrash(await getAllTrash())
+      if (stores.includes('priceHistory')) setPriceHistory(await getAllPriceHistory())
+      if (stores.includes('settings')) {
+        setBaseCurrency(await getSetting('baseCurrency', DEFAULT_CURRENCY))
+        setSurpriseMode(await getSetting('surpriseMode', false))
+        setTrashRetentionDays(await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS))
+        setVendorAliases(await getSetting('vendorAliases', []))
+        setFreeShippingThresholds(await getSetting('freeShippingThresholds', []))
+      }
+    }
+
+    return subscribeToTabChanges((message) => {
+      if (message.type === 'items') {
+        // Treat the other tab's writes as already persisted so they are not written back
+        if (persistedItemsRef.current) {
+          persistedItemsRef.current = mergeRemoteItems(persistedItemsRef.current, message.puts, message.deletes)
         }
+        setItems(prev => mergeRemoteItems(prev, message.puts, message.deletes))
+      } else if (message.type === 'stores') {
+        reloadStores(message.stores).catch(error => console.error('Error reloading changes from another tab:', error))
       }
-      
-      // Debounce saves to avoid too many writes
-      const timeoutId = setTimeout(saveItems, 300)
-      return () => clearTimeout(timeoutId)
+    })
+  }, [])
+
+  // Close the database when another tab upgrades it, writing out pending changes first
+  useEffect(() => subscribeToDatabaseEvents((event) => {
+    if (event === 'outdated') {
+      flushItemWrites()
     }
-  }, [items, isLoading])
+    setDatabaseStatus(event)
+  }), [])
+
+  // Show the stored copy of items whose write was skipped because that copy is newer
+  useEffect(() => subscribeToSkippedWrites((records) => {
+    const states = records.map(record => ({ id: record.id, item: record }))
+    if (persistedItemsRef.current) {
+      persistedItemsRef.current = patchItems(persistedItemsRef.current, states)
+    }
+    setItems(prev => patchItems(prev, states))
+  }), [])
+
+  // Flush pending writes when the tab is hidden or closed
+  useEffect(() => flushItemWritesOnHide(), [])
+
+  // Keep the search, filters, sort and list in the URL so the view survives reloads
+  useEffect(() => {
+    if (!isLoading) {
+      writeViewToURL(view, activeListId)
+    }
+  }, [view, activeListId, isLoading])
+
+  // Apply item states (see utils/history) to the items and the trash
+  // Items are stamped with updatedAt so other tabs can tell which copy is newest
+  const applyItemStates = useCallback((states) => {
+    const now = Date.now()
+    setItems(prev => {
+      const itemsById = new Map(prev.map(item => [item.id, item]))
+      return patchItems(prev, states.map(state => state.item
+        ? { ...state, item: { ...state.item, updatedAt: getNextUpdatedAt(itemsById.get(state.id), now) } }
+        : state))
+    })
+    setTrash(prev => patchTrash(prev, states))
+    // Trash changes are written in the same transaction as the item changes
+    states
+      .filter(state => state.trash !== undefined)
+      .forEach(state => queueTrashChange(state.id, state.trash))
+  }, [])
+
+  // Apply a change to items and record it so it can be undone
+  const recordHistory = history.record
+  const commitItemChange = useCallback((label, before, after) => {
+    applyItemStates(after)
+    recordHistory({
+      label,
+      undo: () => applyItemStates(before),
+      redo: () => applyItemStates(after),
+      imageIds: getStateImageIds([...before, ...after])
+    })
+    setToast({ message: label, action: 'undo' })
+  }, [applyItemStates, recordHistory])
+
+  // Undo the last change
+  const handleUndo = useCallback(() => {
+    const entry = history.undo()
+    if (entry) {
+      setToast({ message: `Undone: ${entry.label}`, action: 'redo' })
+    }
+  }, [history])
+
+  // Redo the last undone change
+  const handleRedo = useCallback(() => {
+    const entry = history.redo()
+    if (entry) {
+      setToast({ message: `Redone: ${entry.label}`, action: 'undo' })
+    }
+  }, [history])
+
+  const dismissToast = useCallback(() => setToast(null), [])
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), leaving text fields to their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const target = e.target
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [handleUndo, handleRedo])
 
   // Handle form input changes
   const handleInputChange = (e) => {
@@ -72,6 +415,12 @@ function App() {
     }))
   }
 
+  // Fill the add form from a product page's metadata
+  const handleQuickAdd = (found) => {
+    setFormData(prev => fillFormFromMetadata(prev, found))
+    attachQuickAddImage(found.image)
+  }
+
   // Handle edit input changes
   const handleEditChange = (e) => {
     const { name, value } = e.target
@@ -81,82 +430,703 @@ function App() {
     }))
   }
 
-  // Add new item
+  // Record a price in the item's history
+  const recordPrice = async (itemId, amount, currency, recordedAt = Date.now()) => {
+    try {
+      const entry = await addPriceHistoryEntry({ itemId, amount, currency, recordedAt })
+      setPriceHistory(prev => [...prev, entry])
+    } catch (error) {
+      console.error('Error recording price:', error)
+    }
+  }
+
+  // Alert when a price has just reached the item's target
+  const checkPriceTarget = (before, after) => {
+    if (after.targetAmount == null) return
+    requestPriceAlertPermission()
+    if (!after.bought && isAtOrBelowTarget(after) && !(before && isAtOrBelowTarget(before))) {
+      notifyPriceDrop(after)
+    }
+  }
+
+  // Add new item, or show what needs fixing
   const handleAddItem = (e) => {
     e.preventDefault()
-    if (formData.name.trim() && formData.link.trim() && formData.price.trim()) {
-      const newItem = {
-        id: Date.now(),
-        name: formData.name.trim(),
-        link: formData.link.trim(),
-        price: formData.price.trim(),
-        bought: false
-      }
-      setItems(prev => [...prev, newItem])
-      setFormData({ name: '', link: '', price: '' })
+    const { errors, fields } = readItemForm(formData)
+    if (Object.keys(errors).length > 0) {
+      setFormAttempted(true)
+      focusFirstError('add', errors)
+      return
     }
+    const newItem = {
+      id: Date.now(),
+      ...fields,
+      quantityBought: 0,
+      bought: false,
+      listId: activeListId
+    }
+    commitItemChange(`Added "${newItem.name}"`, [{ id: newItem.id, item: null }], [{ id: newItem.id, item: newItem }])
+    recordPrice(newItem.id, newItem.amount, newItem.currency, newItem.id)
+    checkPriceTarget(null, newItem)
+    // Keep the currency so several items in the same currency can be added quickly
+    setFormData({ name: '', link: '', price: '', currency: newItem.currency, target: '', imageId: null, ...emptyDetails })
+    setFormAttempted(false)
   }
 
   // Start editing an item
   const handleStartEdit = (item) => {
     setEditingId(item.id)
+    setEditAttempted(false)
     setEditData({
       name: item.name,
       link: item.link,
-      price: item.price
+      price: formatAmountInput(item.amount, item.currency),
+      currency: item.currency,
+      target: item.targetAmount != null ? formatAmountInput(item.targetAmount, item.currency) : '',
+      paid: getQuantityBought(item) > 0 ? formatAmountInput(item.paidAmount ?? item.amount, item.currency) : '',
+      quantity: String(getQuantity(item)),
+      quantityBought: String(getQuantityBought(item)),
+      variants: formatVariants(item.variants),
+      priority: item.priority || DEFAULT_PRIORITY,
+      category: item.category || '',
+      tags: formatTags(item.tags),
+      buyTogether: item.buyTogether || '',
+      repeat: item.repeat || '',
+      repeatDays: item.repeatDays ? String(item.repeatDays) : '',
+      notes: item.notes || '',
+      imageId: item.imageId || null
     })
   }
 
-  // Save edited item
+  // Save edited item, or show what needs fixing
   const handleSaveEdit = (id) => {
-    if (editData.name.trim() && editData.link.trim() && editData.price.trim()) {
-      setItems(prev => prev.map(item => 
-        item.id === id 
-          ? { ...item, name: editData.name.trim(), link: editData.link.trim(), price: editData.price.trim() }
-          : item
-      ))
-      setEditingId(null)
-      setEditData({ name: '', link: '', price: '' })
+    const { errors, fields } = readItemForm(editData)
+    if (Object.keys(errors).length > 0) {
+      setEditAttempted(true)
+      focusFirstError(`edit-${id}`, errors)
+      return
+    }
+    const item = items.find(item => item.id === id)
+    const { quantityBought, paidAmount, ...editedFields } = fields
+    // Actual paid and target prices are recorded in the item's currency
+    const editedItem = {
+      ...item,
+      ...editedFields,
+      ...(getQuantityBought(item) > 0 && { paidAmount: paidAmount ?? editedFields.amount })
+    }
+    // Changing the quantity or the units bought can move the item between Need to Buy and Bought
+    const updatedItem = setQuantityBought(editedItem, quantityBought)
+    commitItemChange(`Edited "${updatedItem.name}"`, [{ id, item }], [{ id, item: updatedItem }])
+    if (updatedItem.amount !== item.amount || updatedItem.currency !== item.currency) {
+      // Items added before price history was kept have no entries yet, so keep their old price first
+      if (!priceHistory.some(entry => entry.itemId === id)) {
+        recordPrice(id, item.amount, item.currency, typeof id === 'number' ? id : Date.now() - 1)
+      }
+      recordPrice(id, updatedItem.amount, updatedItem.currency)
     }
+    checkPriceTarget(item, updatedItem)
+    setEditingId(null)
+    setEditData(emptyEditData)
+    setEditAttempted(false)
   }
 
   // Cancel editing
   const handleCancelEdit = () => {
     setEditingId(null)
-    setEditData({ name: '', link: '', price: '' })
+    setEditData(emptyEditData)
+    setEditAttempted(false)
+  }
+
+  // Delete item by moving it to the trash
+  const handleDeleteItem = (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    const trashItem = { ...item, deletedAt: Date.now() }
+    commitItemChange(
+      `Deleted "${item.name}"`,
+      [{ id, item, trash: null }],
+      [{ id, item: null, trash: trashItem }]
+    )
+    // The trashed item keeps its image; this clears images left behind by earlier edits
+    collectOrphanedImages(items.filter(item => item.id !== id), [...trash, trashItem], heldImageIds)
+  }
+
+  // Toggle bought status, recording when it was bought and what was paid
+  const handleToggleBought = (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    const updatedItem = setQuantityBought(item, item.bought ? 0 : getQuantity(item))
+    const label = updatedItem.bought ? `Marked "${item.name}" as bought` : `Moved "${item.name}" back to Need to Buy`
+    commitItemChange(label, [{ id, item }], [{ id, item: updatedItem }])
+  }
+
+  // Record one more unit of a multi-unit item as bought
+  const handleBuyOne = (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item || item.bought) return
+    const updatedItem = setQuantityBought(item, getQuantityBought(item) + 1)
+    const label = `Bought ${getQuantityBought(updatedItem)} of ${getQuantity(item)} "${item.name}"`
+    commitItemChange(label, [{ id, item }], [{ id, item: updatedItem }])
+  }
+
+  // Apply the same update to several items as one change, undone in one step
+  const commitBatchUpdate = useCallback((label, batchItems, update) => {
+    if (batchItems.length === 0) return
+    commitItemChange(
+      label,
+      batchItems.map(item => ({ id: item.id, item })),
+      batchItems.map(item => ({ id: item.id, item: update(item) }))
+    )
+  }, [commitItemChange])
+
+  useEffect(() => {
+    itemsRef.current = items
+  }, [items])
+
+  // Bring due recurring items back to Need to Buy once loaded, and again whenever the app is shown
+  // Each check is one change that can be undone; undoing it does not bring the items straight back
+  useEffect(() => {
+    if (isLoading) return
+    const restockDueItems = () => {
+      const now = Date.now()
+      setDueCheckAt(now)
+      const dueItems = findDueItems(itemsRef.current, now)
+      if (dueItems.length === 0) return
+      commitBatchUpdate(
+        dueItems.length === 1 ? `"${dueItems[0].name}" is back in Need to Buy` : `${countItems(dueItems.length)} are back in Need to Buy`,
+        dueItems,
+        restockItem
+      )
+    }
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        restockDueItems()
+      }
+    }
+
+    restockDueItems()
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [isLoading, commitBatchUpdate])
+
+  // Move an item within its section of Need to Buy; usually only that item's rank changes
+  const handleMoveItem = (orderedItems, id, toIndex) => {
+    const ranks = new Map(moveToIndex(orderedItems, id, toIndex).map(item => [item.id, item.rank]))
+    const moved = items.find(item => item.id === id)
+    commitBatchUpdate(`Moved "${moved.name}"`, items.filter(item => ranks.has(item.id)), item => ({ ...item, rank: ranks.get(item.id) }))
+  }
+
+  // Mark every item of a purchase plan as fully bought, undone as one step
+  const handleMarkPlanBought = (ids) => {
+    const planned = items.filter(item => ids.includes(item.id) && !item.bought)
+    const now = Date.now()
+    commitBatchUpdate(
+      `Bought ${planned.length} planned ${planned.length === 1 ? 'item' : 'items'}`,
+      planned,
+      item => setQuantityBought(item, getQuantity(item), now)
+    )
+  }
+
+  // Mark the selected items as bought, or move them back to Need to Buy
+  const handleBatchSetBought = (bought) => {
+    const changed = selectedItems.filter(item => item.bought !== bought)
+    const now = Date.now()
+    commitBatchUpdate(
+      bought
+        ? `Marked ${countItems(changed.length)} as bought`
+        : `Moved ${countItems(changed.length)} back to Need to Buy`,
+      changed,
+      item => setQuantityBought(item, bought ? getQuantity(item) : 0, now)
+    )
   }
 
-  // Delete item
-  const handleDeleteItem = async (id) => {
+  // Move the selected items to another list
+  const handleBatchMove = (listId) => {
+    const list = lists.find(list => list.id === listId)
+    if (!list) return
+    commitBatchUpdate(`Moved ${countItems(selectedItems.length)} to "${list.name}"`, selectedItems, item => ({ ...item, listId }))
+    selection.clear()
+  }
+
+  // Give the selected items one category, or clear it
+  const handleBatchSetCategory = (category) => {
+    commitBatchUpdate(
+      category ? `Set category "${category}" on ${countItems(selectedItems.length)}` : `Cleared the category of ${countItems(selectedItems.length)}`,
+      selectedItems,
+      item => ({ ...item, category })
+    )
+  }
+
+  // Add a tag to the selected items that do not have it yet
+  const handleBatchAddTag = (tag) => {
+    const changed = selectedItems.filter(item => !(item.tags || []).includes(tag))
+    commitBatchUpdate(`Tagged ${countItems(changed.length)} #${tag}`, changed, item => ({ ...item, tags: [...(item.tags || []), tag] }))
+  }
+
+  // Move the selected items to the trash
+  const handleBatchDelete = () => {
+    if (selectedItems.length === 0) return
+    const deletedAt = Date.now()
+    const trashItems = selectedItems.map(item => ({ ...item, deletedAt }))
+    commitItemChange(
+      `Deleted ${countItems(selectedItems.length)}`,
+      selectedItems.map(item => ({ id: item.id, item, trash: null })),
+      trashItems.map(trashItem => ({ id: trashItem.id, item: null, trash: trashItem }))
+    )
+    selection.clear()
+    const deletedIds = new Set(trashItems.map(trashItem => trashItem.id))
+    collectOrphanedImages(items.filter(item => !deletedIds.has(item.id)), [...trash, ...trashItems], heldImageIds)
+  }
+
+  // Put a recurring item back in Need to Buy before it is due
+  const handleRestockItem = (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    commitBatchUpdate(`Moved "${item.name}" back to Need to Buy`, [item], restockItem)
+  }
+
+  // Switch lists, leaving the old list's selection behind
+  const handleSelectList = (listId) => {
+    selection.clear()
+    setActiveListId(listId)
+  }
+
+  // Restore an item from the trash, into the active list if its own list is gone
+  const handleRestoreItem = (id) => {
+    const trashItem = trash.find(trashItem => trashItem.id === id)
+    if (!trashItem) return
+    const item = { ...trashItem }
+    delete item.deletedAt
+    const restoredItem = lists.some(list => list.id === item.listId) ? item : { ...item, listId: activeListId }
+    commitItemChange(
+      `Restored "${item.name}"`,
+      [{ id, item: null, trash: trashItem }],
+      [{ id, item: restoredItem, trash: null }]
+    )
+  }
+
+  // Permanently delete items from the trash, along with their price history
+  const handleDeleteForever = async (ids) => {
+    const remainingTrash = trash.filter(trashItem => !ids.includes(trashItem.id))
+    setTrash(remainingTrash)
+    setPriceHistory(prev => prev.filter(entry => !ids.includes(entry.itemId)))
+    // Queued behind any pending trash writes, so a just-deleted item cannot reappear in the trash
+    ids.forEach(id => queueTrashChange(id, null))
     try {
-      await deleteItemFromDB(id)
-      setItems(prev => prev.filter(item => item.id !== id))
+      await flushItemWrites()
+      await Promise.all(ids.map(id => deletePriceHistory(id)))
     } catch (error) {
-      console.error('Error deleting item:', error)
-      // Still update UI even if DB operation fails
-      setItems(prev => prev.filter(item => item.id !== id))
+      console.error('Error deleting from trash:', error)
     }
+    collectOrphanedImages(items, remainingTrash, heldImageIds)
   }
 
-  // Toggle bought status
-  const handleToggleBought = (id) => {
-    setItems(prev => prev.map(item => 
-      item.id === id ? { ...item, bought: !item.bought } : item
-    ))
+  // Change how long deleted items stay in the trash
+  const handleChangeTrashRetention = async (days) => {
+    setTrashRetentionDays(days)
+    try {
+      await saveSetting('trashRetentionDays', days)
+    } catch (error) {
+      console.error('Error saving trash retention:', error)
+    }
+  }
+
+  // Create a new list and switch to it
+  const handleCreateList = async (name) => {
+    const newList = { id: Date.now(), name, archived: false, createdAt: Date.now(), updatedAt: Date.now() }
+    setLists(prev => [...prev, newList])
+    setActiveListId(newList.id)
+    try {
+      await saveList(newList)
+    } catch (error) {
+      console.error('Error creating list:', error)
+    }
   }
 
-  // Calculate total price for items not bought
-  const calculateTotal = () => {
-    return items
-      .filter(item => !item.bought)
-      .reduce((total, item) => {
-        const price = parseFloat(item.price.replace(/[^0-9.]/g, '')) || 0
-        return total + price
-      }, 0)
+  // Update a list and persist the change
+  const updateList = async (id, changes) => {
+    const list = lists.find(list => list.id === id)
+    if (!list) return
+    const updatedList = { ...list, ...changes, updatedAt: Date.now() }
+    setLists(prev => prev.map(list => list.id === id ? updatedList : list))
+    try {
+      await saveList(updatedList)
+    } catch (error) {
+      console.error('Error updating list:', error)
+    }
   }
 
-  const needToBuyItems = items.filter(item => !item.bought)
-  const boughtItems = items.filter(item => item.bought)
+  // Rename a list
+  const handleRenameList = (id, name) => {
+    updateList(id, { name })
+  }
+
+  // Archive or unarchive a list
+  const handleToggleArchiveList = (id) => {
+    const list = lists.find(list => list.id === id)
+    if (list) {
+      updateList(id, { archived: !list.archived })
+    }
+  }
+
+  // Delete a list and its items, then switch to another list
+  const handleDeleteList = async (id) => {
+    const remainingLists = lists.filter(list => list.id !== id)
+    if (remainingLists.length === 0) return
+    const deletedItemIds = items.filter(item => item.listId === id).map(item => item.id)
+    setLists(remainingLists)
+    setItems(prev => prev.filter(item => item.listId !== id))
+    setPriceHistory(prev => prev.filter(entry => !deletedItemIds.includes(entry.itemId)))
+    budgets
+      .filter(budget => budget.scope === 'list' && budget.listId === id)
+      .forEach(budget => handleDeleteBudget(budget.id))
+    setActiveListId((remainingLists.find(list => !list.archived) || remainingLists[0]).id)
+    try {
+      await deleteListFromDB(id)
+      await Promise.all(deletedItemIds.map(itemId => deletePriceHistory(itemId)))
+    } catch (error) {
+      console.error('Error deleting list:', error)
+    }
+    collectOrphanedImages(items.filter(item => item.listId !== id), trash, heldImageIds)
+  }
+
+  // Leave the shared-list view
+  const handleCloseShared = () => {
+    setShared(null)
+    clearShareHash()
+  }
+
+  // Bring the shared items into a local list as one undoable change
+  const importSharedItems = (listId, label) => {
+    const importedItems = mergeSharedItems(shared.data.items, items, listId)
+    commitItemChange(
+      label,
+      importedItems.map(item => ({ id: item.id, item: items.find(existing => existing.id === item.id) || null })),
+      importedItems.map(item => ({ id: item.id, item }))
+    )
+    setActiveListId(listId)
+    handleCloseShared()
+  }
+
+  // Import a shared list as a new list
+  const handleImportSharedAsNew = async () => {
+    const newList = { id: Date.now(), name: shared.data.list.name, archived: false, createdAt: Date.now(), updatedAt: Date.now() }
+    setLists(prev => [...prev, newList])
+    importSharedItems(newList.id, `Imported "${newList.name}"`)
+    try {
+      await saveList(newList)
+    } catch (error) {
+      console.error('Error creating list:', error)
+    }
+  }
+
+  // Merge a shared list into one of ours
+  const handleMergeShared = (listId) => {
+    const list = lists.find(list => list.id === listId)
+    importSharedItems(listId, `Merged "${shared.data.list.name}" into "${list.name}"`)
+  }
+
+  // Reserve the claimed items under the sender's name
+  const handleApplyClaim = () => {
+    const { changes } = applyClaim(shared.data, items)
+    const label = surpriseMode
+      ? `Put ${changes.length} item${changes.length === 1 ? '' : 's'} on hold`
+      : `Applied ${shared.data.by}'s reservations`
+    commitItemChange(
+      label,
+      changes.map(({ item }) => ({ id: item.id, item })),
+      changes.map(({ updatedItem }) => ({ id: updatedItem.id, item: updatedItem }))
+    )
+    handleCloseShared()
+  }
+
+  // Remove a gift reservation from an item
+  const handleClearReservation = (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item) return
+    const label = surpriseMode ? `Cleared hold on "${item.name}"` : `Cleared ${item.reservation.by}'s reservation on "${item.name}"`
+    commitItemChange(label, [{ id, item }], [{ id, item: { ...item, reservation: null } }])
+  }
+
+  // Turn surprise mode (hiding who reserved what) on or off
+  const handleChangeSurpriseMode = async (enabled) => {
+    setSurpriseMode(enabled)
+    try {
+      await saveSetting('surpriseMode', enabled)
+    } catch (error) {
+      console.error('Error saving surprise mode:', error)
+    }
+  }
+
+  // Save the sync server settings; a different server starts sync from scratch
+  const handleSaveSyncSettings = async (settings) => {
+    const isNewServer = settings.url !== syncSettings.url
+    setSyncSettings(settings)
+    try {
+      if (isNewServer) {
+        await clearSyncDocs()
+        await saveSetting('syncCursor', 0)
+      }
+      await saveSetting('syncServerURL', settings.url)
+      await saveSetting('syncToken', settings.token)
+    } catch (error) {
+      console.error('Error saving sync settings:', error)
+    }
+  }
+
+  // Apply records changed on other devices
+  const applySyncedChanges = async ({ item, list }) => {
+    if (item.puts.length > 0 || item.deletes.length > 0) {
+      setItems(prev => mergeRemoteItems(prev, item.puts, item.deletes))
+    }
+    if (list.puts.length > 0 || list.deletes.length > 0) {
+      const syncedLists = mergeRemoteItems(lists, list.puts, list.deletes)
+      if (syncedLists.length === 0) return
+      setLists(syncedLists)
+      if (!syncedLists.some(syncedList => syncedList.id === activeListId)) {
+        setActiveListId((syncedLists.find(syncedList => !syncedList.archived) || syncedLists[0]).id)
+      }
+      await Promise.all(list.puts.map(syncedList => saveList(syncedList)))
+      await Promise.all(list.deletes.map(({ id }) => deleteListFromDB(id)))
+      // Deleting a list also deleted its items from the database
+      const deletedListIds = new Set(list.deletes.map(({ id }) => id))
+      setItems(prev => prev.filter(item => !deletedListIds.has(item.listId)))
+    }
+  }
+
+  // Exchange changes with the sync server
+  const handleSync = async () => {
+    if (!syncSettings.url || syncStatus.isSyncing) return
+    setSyncStatus(prev => ({ ...prev, isSyncing: true, error: '' }))
+    try {
+      await flushItemWrites()
+      let device = await getSetting('syncDeviceId', null)
+      if (!device) {
+        device = crypto.randomUUID()
+        await saveSetting('syncDeviceId', device)
+      }
+      const { changes, pushed, pulled } = await runSync({
+        transport: createHttpTransport(syncSettings.url, syncSettings.token),
+        collections: {
+          list: { records: lists },
+          // Items deleted here are in the trash, which knows when
+          item: { records: items, getDeletedAt: (id) => trash.find(trashItem => trashItem.id === id)?.deletedAt }
+        },
+        device
+      })
+      await applySyncedChanges(changes)
+      const lastSyncedAt = Date.now()
+      await saveSetting('lastSyncedAt', lastSyncedAt)
+      setSyncStatus({ isSyncing: false, lastSyncedAt, message: `Sent ${pushed}, received ${pulled} changes`, error: '' })
+    } catch (error) {
+      console.error('Error syncing:', error)
+      setSyncStatus(prev => ({ ...prev, isSyncing: false, error: error.message }))
+    }
+  }
+
+  // Change the base currency, re-expressing the rate table against it
+  // Returns the new rates, or null when the table has no rate for the new base
+  const handleChangeBaseCurrency = async (newBase) => {
+    const rebased = rates.length === 0 ? [] : rebaseRates(rates, baseCurrency, newBase)
+    if (!rebased) return null
+    setBaseCurrency(newBase)
+    setRates(rebased)
+    try {
+      await saveSetting('baseCurrency', newBase)
+      await saveAllRates(rebased)
+    } catch (error) {
+      console.error('Error changing base currency:', error)
+    }
+    return rebased
+  }
+
+  // Replace the exchange-rate table
+  const handleSaveRates = async (newRates) => {
+    setRates(newRates)
+    try {
+      await saveAllRates(newRates)
+    } catch (error) {
+      console.error('Error saving rates:', error)
+    }
+  }
+
+  // Add a budget, replacing any existing budget with the same scope
+  const handleAddBudget = async (budget) => {
+    const replaced = budgets.filter(existing => isSameBudgetScope(existing, budget))
+    setBudgets(prev => [...prev.filter(existing => !replaced.includes(existing)), budget])
+    try {
+      await Promise.all(replaced.map(existing => deleteBudgetFromDB(existing.id)))
+      await saveBudget(budget)
+    } catch (error) {
+      console.error('Error saving budget:', error)
+    }
+  }
+
+  // Delete a budget
+  const handleDeleteBudget = async (id) => {
+    setBudgets(prev => prev.filter(budget => budget.id !== id))
+    try {
+      await deleteBudgetFromDB(id)
+    } catch (error) {
+      console.error('Error deleting budget:', error)
+    }
+  }
+
+  // Save the table of store names for link domains
+  const handleSaveVendorAliases = async (aliases) => {
+    setVendorAliases(aliases)
+    try {
+      await saveSetting('vendorAliases', aliases)
+    } catch (error) {
+      console.error('Error saving store names:', error)
+    }
+  }
+
+  // Save the free-shipping thresholds per store
+  const handleSaveFreeShippingThresholds = async (thresholds) => {
+    setFreeShippingThresholds(thresholds)
+    try {
+      await saveSetting('freeShippingThresholds', thresholds)
+    } catch (error) {
+      console.error('Error saving free shipping thresholds:', error)
+    }
+  }
+
+  // Download every store as a versioned JSON backup
+  const handleExportJSON = async () => {
+    const settings = await getAllSettings()
+    const backup = buildBackup({ items, lists, rates, budgets, settings, priceHistory })
+    const date = new Date().toISOString().slice(0, 10)
+    downloadFile(JSON.stringify(backup, null, 2), `things-to-buy-${date}.json`, 'application/json')
+  }
+
+  // Download all items as CSV
+  const handleExportCSV = () => {
+    const date = new Date().toISOString().slice(0, 10)
+    downloadFile(itemsToCSV(items, lists), `things-to-buy-${date}.csv`, 'text/csv')
+  }
+
+  // Apply a validated import, either merging by id or replacing everything
+  const handleImport = async (backupData, mode, kind) => {
+    const data = { ...backupData, items: await dropMissingImages(backupData.items) }
+    if (mode === 'replace') {
+      // Write out anything still queued so it cannot land on top of the restored items
+      await flushItemWrites()
+      const importedLists = data.lists.length > 0 ? data.lists : [createDefaultList()]
+      const importedBase = data.settings.find(setting => setting.key === 'baseCurrency')?.value || DEFAULT_CURRENCY
+      // Keep this browser's sync connection, pulling everything again from the start
+      const localSyncSettings = (await getAllSettings())
+        .filter(setting => SYNC_SETTING_KEYS.includes(setting.key) && setting.key !== 'syncCursor')
+      await replaceBackupStores({ ...data, lists: importedLists, settings: [...data.settings, ...localSyncSettings, { key: 'syncCursor', value: 0 }] })
+      // The restored items are already stored, so they are not written again
+      persistedItemsRef.current = data.items
+      setItems(data.items)
+      setLists(importedLists)
+      setRates(data.rates)
+      setBudgets(data.budgets)
+      setPriceHistory(data.priceHistory)
+      setBaseCurrency(importedBase)
+      setVendorAliases(data.settings.find(setting => setting.key === 'vendorAliases')?.value || [])
+      setFreeShippingThresholds(data.settings.find(setting => setting.key === 'freeShippingThresholds')?.value || [])
+      setActiveListId((importedLists.find(list => !list.archived) || importedLists[0]).id)
+      collectOrphanedImages(data.items, trash)
+      // Undo entries refer to the data that was just replaced
+      history.clear()
+      return
+    }
+
+    // CSV rows only name their list, so never overwrite a list that already exists
+    const newLists = kind === 'csv'
+      ? data.lists.filter(list => !lists.some(existing => existing.id === list.id))
+      : data.lists
+    // One budget per scope, like handleAddBudget: imported budgets replace ours for the same scope
+    const importedBudgets = data.budgets.filter((budget, index) =>
+      !data.budgets.slice(index + 1).some(later => isSameBudgetScope(budget, later))
+    )
+    const replacedBudgets = budgets.filter(existing =>
+      importedBudgets.some(budget => budget.id !== existing.id && isSameBudgetScope(budget, existing))
+    )
+    await Promise.all(newLists.map(list => saveList(list)))
+    await Promise.all(replacedBudgets.map(budget => deleteBudgetFromDB(budget.id)))
+    await Promise.all(importedBudgets.map(budget => saveBudget(budget)))
+    setLists(prev => mergeByKey(prev, newLists))
+    setBudgets(prev => mergeByKey(prev.filter(existing => !replacedBudgets.includes(existing)), importedBudgets))
+    // Stamp imported items so they win over older copies in other tabs
+    const now = Date.now()
+    setItems(prev => {
+      const itemsById = new Map(prev.map(item => [item.id, item]))
+      return mergeByKey(prev, data.items.map(item => ({ ...item, updatedAt: getNextUpdatedAt(itemsById.get(item.id), now) })))
+    })
+
+    // History ids are local to each database, so add entries we do not already have under new ids
+    const newEntries = data.priceHistory.filter(entry => !priceHistory.some(existing =>
+      existing.itemId === entry.itemId && existing.recordedAt === entry.recordedAt && existing.amount === entry.amount
+    ))
+    await Promise.all(newEntries.map(entry => recordPrice(entry.itemId, entry.amount, entry.currency, entry.recordedAt)))
+
+    if (data.rates.length > 0) {
+      // Rates are relative to the backup's base currency, so bring them onto ours first
+      const importedBase = data.settings.find(setting => setting.key === 'baseCurrency')?.value || baseCurrency
+      const importedRates = rebaseRates(data.rates, importedBase, baseCurrency)
+      if (importedRates) {
+        const mergedRates = mergeByKey(rates, importedRates.filter(rate => rate.currency !== baseCurrency), 'currency')
+        await saveAllRates(mergedRates)
+        setRates(mergedRates)
+      }
+    }
+  }
+
+  const activeList = lists.find(list => list.id === activeListId)
+  const listItems = items.filter(item => item.listId === activeListId)
+  // The same array until the items change, so the purchase planner does not re-plan on every render
+  const needToBuyItems = useMemo(
+    () => items.filter(item => item.listId === activeListId && !item.bought),
+    [items, activeListId]
+  )
+  const boughtItems = listItems.filter(item => item.bought)
+  const visibleItems = applyView(listItems, view, baseCurrency, rates, vendorAliases)
+  const visibleNeedToBuyItems = visibleItems.filter(item => !item.bought)
+  const visibleBoughtItems = visibleItems.filter(item => item.bought)
+  const stores = [...new Set(listItems.map(item => getVendor(item.link, vendorAliases)).filter(Boolean))].sort()
+  const allVendors = [...new Set(items.map(item => getVendor(item.link, vendorAliases)).filter(Boolean))].sort()
+  const categories = [...new Set(items.map(item => item.category).filter(Boolean))].sort()
+  // Buy-together groups only join items of the same list
+  const bundles = [...new Set(listItems.map(item => item.buyTogether).filter(Boolean))].sort()
+  const needToBuyGroups = view.group === 'store'
+    ? groupItemsByVendor(visibleNeedToBuyItems, vendorAliases)
+    : groupItems(visibleNeedToBuyItems, view.group)
+  // Selection only covers items on screen, so hidden items are never changed by a batch action
+  const selectedItems = visibleItems.filter(item => selection.selectedIds.has(item.id))
+  // Shift-click ranges follow the order items are shown in
+  const needToBuyIds = needToBuyGroups.flatMap(group => group.items.map(item => item.id))
+  const boughtIds = visibleBoughtItems.map(item => item.id)
+  const dueSoon = getDueSoon(boughtItems, dueCheckAt ?? Date.now())
+  const categoryTotals = Object.entries(calculateTotalsByCategory(listItems))
+  const priceHistoryByItem = groupPriceHistory(priceHistory)
+  const listStats = getListStats(items)
+  const listTotals = calculateTotals(listItems)
+  const spentTotals = calculateSpentTotals(listItems)
+  const hasForeignCurrency = Object.keys(listTotals).some(currency => currency !== baseCurrency)
+  const grandTotal = calculateGrandTotal(listTotals, baseCurrency, baseCurrency, rates)
+  const budgetStatuses = getApplicableBudgets(budgets, activeListId).map(budget => ({
+    budget,
+    label: getBudgetLabel(budget, lists),
+    status: getBudgetStatus(budget, items, baseCurrency, rates)
+  }))
+
+  // Warn while typing a price that would push planned spend over a budget
+  const formErrors = formAttempted ? readItemForm(formData).errors : {}
+  const formDuplicate = findItemWithLink(listItems, formData.link)
+  const editErrors = editingId !== null && editAttempted ? readItemForm(editData).errors : {}
+  const editDuplicate = editingId !== null ? findItemWithLink(listItems, editData.link, editingId) : null
+  const newItemPrice = parsePrice(formData.price, formData.currency)
+  const newItemQuantity = parseQuantity(formData.quantity) || 1
+  const budgetWarnings = newItemPrice
+    ? findBudgetsExceededBy(
+        { id: 'new', listId: activeListId, amount: newItemPrice.amount, currency: newItemPrice.currency, quantity: newItemQuantity, bought: false },
+        budgets, items, baseCurrency, rates
+      )
+    : []
 
   if (isLoading) {
     return (
@@ -169,62 +1139,174 @@ function App() {
     )
   }
 
+  if (shared?.kind === 'list') {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8 px-4">
+        <div className="max-w-4xl mx-auto">
+          <h1 className="text-4xl font-bold text-gray-800 mb-8 text-center">
+            Things To Buy
+          </h1>
+          <SharedListView
+            shared={shared}
+            lists={lists}
+            activeListId={activeListId}
+            onImportNew={handleImportSharedAsNew}
+            onMerge={handleMergeShared}
+            onClose={handleCloseShared}
+          />
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-8 px-4">
       <div className="max-w-4xl mx-auto">
-        <h1 className="text-4xl font-bold text-gray-800 mb-8 text-center">
+        <h1 className="text-4xl font-bold text-gray-800 mb-4 text-center">
           Things To Buy
         </h1>
+        <div className="flex justify-center gap-2 mb-8">
+          <button
+            onClick={handleUndo}
+            disabled={!history.canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!history.canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            ↷ Redo
+          </button>
+        </div>
+
+        {/* Gift Reservations */}
+        {shared?.kind === 'claim' && (
+          <ClaimImportPanel
+            claim={shared}
+            preview={shared.data ? applyClaim(shared.data, items) : null}
+            surpriseMode={surpriseMode}
+            onApply={handleApplyClaim}
+            onDismiss={handleCloseShared}
+          />
+        )}
+
+        {/* List Switcher */}
+        <ListSwitcher
+          lists={lists}
+          activeListId={activeListId}
+          stats={listStats}
+          onSelect={handleSelectList}
+          onCreate={handleCreateList}
+          onRename={handleRenameList}
+          onToggleArchive={handleToggleArchiveList}
+          onDelete={handleDeleteList}
+        />
+
+        {/* Exchange Rates */}
+        <ExchangeRatesPanel
+          baseCurrency={baseCurrency}
+          rates={rates}
+          onChangeBase={handleChangeBaseCurrency}
+          onSaveRates={handleSaveRates}
+        />
+
+        {/* Budgets */}
+        <BudgetPanel
+          budgets={budgets}
+          lists={lists}
+          activeListId={activeListId}
+          baseCurrency={baseCurrency}
+          onAddBudget={handleAddBudget}
+          onDeleteBudget={handleDeleteBudget}
+        />
+
+        {/* Spending Analytics */}
+        <AnalyticsPanel
+          items={items}
+          lists={lists}
+          activeListId={activeListId}
+          baseCurrency={baseCurrency}
+          rates={rates}
+          vendorAliases={vendorAliases}
+        />
+
+        {/* Store Names & Free Shipping */}
+        <VendorsPanel
+          aliases={vendorAliases}
+          thresholds={freeShippingThresholds}
+          vendors={allVendors}
+          unaliasedDomains={getUnaliasedDomains(items, vendorAliases)}
+          baseCurrency={baseCurrency}
+          onSaveAliases={handleSaveVendorAliases}
+          onSaveThresholds={handleSaveFreeShippingThresholds}
+        />
+
+        {/* Backup & Restore */}
+        <BackupPanel
+          onExportJSON={handleExportJSON}
+          onExportCSV={handleExportCSV}
+          onImport={handleImport}
+        />
+
+        {/* Share */}
+        {activeList && (
+          <SharePanel
+            list={activeList}
+            items={listItems}
+            surpriseMode={surpriseMode}
+            onChangeSurpriseMode={handleChangeSurpriseMode}
+            onOpenShared={setShared}
+          />
+        )}
+
+        {/* Sync */}
+        <SyncPanel
+          settings={syncSettings}
+          status={syncStatus}
+          onSaveSettings={handleSaveSyncSettings}
+          onSync={handleSync}
+        />
+
+        {/* Trash */}
+        <TrashPanel
+          trash={trash}
+          retentionDays={trashRetentionDays}
+          onRestore={handleRestoreItem}
+          onDeleteForever={(id) => handleDeleteForever([id])}
+          onEmpty={() => handleDeleteForever(trash.map(trashItem => trashItem.id))}
+          onChangeRetention={handleChangeTrashRetention}
+        />
 
         {/* Add Item Form */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-8">
           <h2 className="text-2xl font-semibold text-gray-700 mb-4">Add New Item</h2>
-          <form onSubmit={handleAddItem} className="space-y-4">
-            <div>
-              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
-                Item Name
-              </label>
-              <input
-                type="text"
-                id="name"
-                name="name"
-                value={formData.name}
-                onChange={handleInputChange}
-                placeholder="e.g., Wireless Headphones"
-                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label htmlFor="link" className="block text-sm font-medium text-gray-700 mb-1">
-                Product Link
-              </label>
-              <input
-                type="url"
-                id="link"
-                name="link"
-                value={formData.link}
-                onChange={handleInputChange}
-                placeholder="https://www.amazon.com/..."
-                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label htmlFor="price" className="block text-sm font-medium text-gray-700 mb-1">
-                Price
-              </label>
-              <input
-                type="text"
-                id="price"
-                name="price"
-                value={formData.price}
-                onChange={handleInputChange}
-                placeholder="e.g., ₹1,299 or ₹2,500"
-                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
+          <QuickAddPanel onFill={handleQuickAdd} />
+          <form onSubmit={handleAddItem} className="space-y-4" noValidate>
+            <ItemForm
+              idPrefix="add"
+              values={formData}
+              errors={formErrors}
+              duplicate={formDuplicate}
+              onChange={handleInputChange}
+              categories={categories}
+              bundles={bundles}
+            />
+            {budgetWarnings.length > 0 && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700" role="alert">
+                {budgetWarnings.map(({ budget, overBy, wasOver }) => (
+                  <p key={budget.id}>
+                    {wasOver
+                      ? `The ${getBudgetLabel(budget, lists)} budget is already over its cap; this adds to it.`
+                      : `Adding this puts the ${getBudgetLabel(budget, lists)} budget ${formatMoney(overBy, budget.currency)} over its cap.`}
+                  </p>
+                ))}
+              </div>
+            )}
             <button
               type="submit"
               className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-colors"
@@ -235,11 +1317,11 @@ function App() {
         </div>
 
         {/* Summary */}
-        {items.length > 0 && (
+        {(listItems.length > 0 || budgetStatuses.length > 0) && (
           <div className="bg-white rounded-lg shadow-md p-4 mb-6">
             <div className="flex justify-between items-center">
               <div className="text-gray-700">
-                <span className="font-semibold">Total Items:</span> {items.length}
+                <span className="font-semibold">Total Items:</span> {listItems.length}
               </div>
               <div className="text-gray-700">
                 <span className="font-semibold">Need to Buy:</span> {needToBuyItems.length}
@@ -249,245 +1331,239 @@ function App() {
               </div>
               {needToBuyItems.length > 0 && (
                 <div className="text-lg font-bold text-blue-600">
-                  Total: ₹{calculateTotal().toFixed(2)}
+                  Total: {formatTotals(listTotals)}
                 </div>
               )}
             </div>
+            {Object.keys(spentTotals).length > 0 && (
+              <div className="mt-2 pt-2 border-t border-gray-200 text-right text-gray-700">
+                <span className="font-semibold">Spent:</span> {formatTotals(spentTotals)}
+              </div>
+            )}
+            {needToBuyItems.length > 0 && hasForeignCurrency && (
+              <div className="mt-2 pt-2 border-t border-gray-200 text-right text-gray-700">
+                <span className="font-semibold">Grand total in {baseCurrency}:</span>{' '}
+                ≈ {formatMoney(grandTotal.amount, baseCurrency)}
+                {grandTotal.missing.length > 0 && (
+                  <span className="ml-2 text-sm text-red-600">
+                    (excludes {grandTotal.missing.join(', ')}: no exchange rate)
+                  </span>
+                )}
+                {grandTotal.stale.length > 0 && (
+                  <span className="ml-2 px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded">
+                    Stale rates: {grandTotal.stale.join(', ')}
+                  </span>
+                )}
+              </div>
+            )}
+            {categoryTotals.length > 1 && (
+              <div className="mt-2 pt-2 border-t border-gray-200 text-sm text-gray-700 flex flex-wrap gap-x-4 gap-y-1">
+                <span className="font-semibold">By category:</span>
+                {categoryTotals.map(([category, totals]) => (
+                  <span key={category}>
+                    {category}: {formatTotals(totals)}
+                  </span>
+                ))}
+              </div>
+            )}
+            {budgetStatuses.length > 0 && (
+              <div className="mt-2 pt-2 border-t border-gray-200 space-y-3">
+                {budgetStatuses.map(({ budget, label, status }) => (
+                  <BudgetStatus key={budget.id} label={label} budget={budget} status={status} />
+                ))}
+              </div>
+            )}
           </div>
         )}
 
-        {/* Items List - Need to Buy */}
         {needToBuyItems.length > 0 && (
+          <PlannerPanel
+            items={needToBuyItems}
+            baseCurrency={baseCurrency}
+            rates={rates}
+            onMarkBought={handleMarkPlanBought}
+          />
+        )}
+
+        {/* Search, Filter & Sort */}
+        {listItems.length > 0 && (
+          <ItemToolbar
+            view={view}
+            onChange={setView}
+            stores={stores}
+            baseCurrency={baseCurrency}
+            shownCount={visibleItems.length}
+            totalCount={listItems.length}
+          />
+        )}
+
+        {/* Batch Actions */}
+        {selectedItems.length > 0 && (
+          <BatchActionBar
+            items={selectedItems}
+            lists={lists}
+            activeListId={activeListId}
+            categories={categories}
+            onSetBought={handleBatchSetBought}
+            onMove={handleBatchMove}
+            onSetCategory={handleBatchSetCategory}
+            onAddTag={handleBatchAddTag}
+            onDelete={handleBatchDelete}
+            onClear={selection.clear}
+          />
+        )}
+
+        {/* Items List - Need to Buy */}
+        {visibleNeedToBuyItems.length > 0 && (
           <div className="mb-8">
-            <h2 className="text-2xl font-semibold text-gray-700 mb-4">
-              Need to Buy ({needToBuyItems.length})
-            </h2>
-            <div className="space-y-4">
-              {needToBuyItems.map(item => (
-                <div key={item.id} className="bg-white rounded-lg shadow-md p-6 border-l-4 border-blue-500">
-                  {editingId === item.id ? (
-                    <div className="space-y-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Item Name
-                        </label>
-                        <input
-                          type="text"
-                          name="name"
-                          value={editData.name}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Product Link
-                        </label>
-                        <input
-                          type="url"
-                          name="link"
-                          value={editData.link}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Price
-                        </label>
-                        <input
-                          type="text"
-                          name="price"
-                          value={editData.price}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => handleSaveEdit(item.id)}
-                          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
-                        >
-                          Save
-                        </button>
-                        <button
-                          onClick={handleCancelEdit}
-                          className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </div>
-                  ) : (
-                    <>
-                      <div className="flex justify-between items-start mb-4">
-                        <div className="flex-1">
-                          <h3 className="text-xl font-semibold text-gray-800 mb-2">
-                            {item.name}
-                          </h3>
-                          <p className="text-lg font-bold text-blue-600 mb-2">
-                            {item.price}
-                          </p>
-                          <a
-                            href={item.link}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-blue-600 hover:text-blue-800 underline break-all"
-                          >
-                            View Product
-                          </a>
-                        </div>
-                      </div>
-                      <div className="flex gap-2 flex-wrap">
-                        <button
-                          onClick={() => handleToggleBought(item.id)}
-                          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
-                        >
-                          Mark as Bought
-                        </button>
-                        <button
-                          onClick={() => handleStartEdit(item)}
-                          className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 transition-colors"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDeleteItem(item.id)}
-                          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-semibold text-gray-700">
+                Need to Buy ({visibleNeedToBuyItems.length})
+              </h2>
+              <SelectAllCheckbox
+                ids={needToBuyIds}
+                selectedIds={selection.selectedIds}
+                onChange={selection.setSelected}
+                label="Select all items to buy"
+              />
+            </div>
+            <div className="space-y-6">
+              {needToBuyGroups.map(group => (
+                <div key={group.key}>
+                  {view.group === 'store' ? (
+                    <StoreGroupHeader
+                      label={group.label}
+                      items={group.items}
+                      shipping={getFreeShippingStatus(group.key, group.items, freeShippingThresholds, baseCurrency, rates)}
+                    />
+                  ) : group.label && (
+                    <h3 className="text-lg font-semibold text-gray-600 mb-2">
+                      {group.label} ({group.items.length}) · {formatTotals(calculateTotals(group.items))}
+                    </h3>
                   )}
+                  <SortableItemList
+                    items={group.items}
+                    isEnabled={view.sort === 'manual'}
+                    onMove={handleMoveItem}
+                    renderItem={(item, reorder) => (
+                      <ItemCard
+                        item={item}
+                        priceHistory={priceHistoryByItem[item.id]}
+                        surpriseMode={surpriseMode}
+                        isEditing={editingId === item.id}
+                        editData={editData}
+                        editErrors={editErrors}
+                        editDuplicate={editDuplicate}
+                        categories={categories}
+                        bundles={bundles}
+                        isSelected={selection.selectedIds.has(item.id)}
+                        onSelect={(id, isRange) => selection.toggle(id, needToBuyIds, isRange)}
+                        reorder={reorder}
+                        onEditChange={handleEditChange}
+                        onSaveEdit={handleSaveEdit}
+                        onCancelEdit={handleCancelEdit}
+                        onToggleBought={handleToggleBought}
+                        onBuyOne={handleBuyOne}
+                        onStartEdit={handleStartEdit}
+                        onDelete={handleDeleteItem}
+                        onClearReservation={handleClearReservation}
+                      />
+                    )}
+                  />
                 </div>
               ))}
             </div>
           </div>
         )}
 
+        {/* Recurring Items Coming Back Soon */}
+        {dueSoon.length > 0 && (
+          <DueSoonPanel entries={dueSoon} onRestock={handleRestockItem} />
+        )}
+
         {/* Items List - Bought */}
-        {boughtItems.length > 0 && (
+        {visibleBoughtItems.length > 0 && (
           <div>
-            <h2 className="text-2xl font-semibold text-gray-700 mb-4">
-              Bought ({boughtItems.length})
-            </h2>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-semibold text-gray-700">
+                Bought ({visibleBoughtItems.length})
+              </h2>
+              <SelectAllCheckbox
+                ids={boughtIds}
+                selectedIds={selection.selectedIds}
+                onChange={selection.setSelected}
+                label="Select all bought items"
+              />
+            </div>
             <div className="space-y-4">
-              {boughtItems.map(item => (
-                <div key={item.id} className="bg-white rounded-lg shadow-md p-6 border-l-4 border-green-500 opacity-75">
-                  {editingId === item.id ? (
-                    <div className="space-y-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Item Name
-                        </label>
-                        <input
-                          type="text"
-                          name="name"
-                          value={editData.name}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Product Link
-                        </label>
-                        <input
-                          type="url"
-                          name="link"
-                          value={editData.link}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Price
-                        </label>
-                        <input
-                          type="text"
-                          name="price"
-                          value={editData.price}
-                          onChange={handleEditChange}
-                          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => handleSaveEdit(item.id)}
-                          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
-                        >
-                          Save
-                        </button>
-                        <button
-                          onClick={handleCancelEdit}
-                          className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
-                        >
-                          Cancel
-                        </button>
-                      </div>
-                    </div>
-                  ) : (
-                    <>
-                      <div className="flex justify-between items-start mb-4">
-                        <div className="flex-1">
-                          <div className="flex items-center gap-2 mb-2">
-                            <h3 className="text-xl font-semibold text-gray-800">
-                              {item.name}
-                            </h3>
-                            <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded">
-                              BOUGHT
-                            </span>
-                          </div>
-                          <p className="text-lg font-bold text-green-600 mb-2">
-                            {item.price}
-                          </p>
-                          <a
-                            href={item.link}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-blue-600 hover:text-blue-800 underline break-all"
-                          >
-                            View Product
-                          </a>
-                        </div>
-                      </div>
-                      <div className="flex gap-2 flex-wrap">
-                        <button
-                          onClick={() => handleToggleBought(item.id)}
-                          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-                        >
-                          Mark as Need to Buy
-                        </button>
-                        <button
-                          onClick={() => handleStartEdit(item)}
-                          className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 transition-colors"
-                        >
-                          Edit
-                        </button>
-                        <button
-                          onClick={() => handleDeleteItem(item.id)}
-                          className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
-                        >
-                          Delete
-                        </button>
-                      </div>
-                    </>
-                  )}
-                </div>
+              {visibleBoughtItems.map(item => (
+                <ItemCard
+                  key={item.id}
+                  item={item}
+                  priceHistory={priceHistoryByItem[item.id]}
+                  surpriseMode={surpriseMode}
+                  isEditing={editingId === item.id}
+                  editData={editData}
+                  editErrors={editErrors}
+                  editDuplicate={editDuplicate}
+                  categories={categories}
+                  bundles={bundles}
+                  isSelected={selection.selectedIds.has(item.id)}
+                  onSelect={(id, isRange) => selection.toggle(id, boughtIds, isRange)}
+                  onEditChange={handleEditChange}
+                  onSaveEdit={handleSaveEdit}
+                  onCancelEdit={handleCancelEdit}
+                  onToggleBought={handleToggleBought}
+                  onStartEdit={handleStartEdit}
+                  onDelete={handleDeleteItem}
+                  onClearReservation={handleClearReservation}
+                />
               ))}
             </div>
           </div>
         )}
 
         {/* Empty State */}
-        {items.length === 0 && (
+        {listItems.length === 0 && (
           <div className="bg-white rounded-lg shadow-md p-12 text-center">
-            <p className="text-gray-500 text-lg">Your wishlist is empty. Add some items to get started!</p>
+            <p className="text-gray-500 text-lg">This list is empty. Add some items to get started!</p>
+          </div>
+        )}
+        {listItems.length > 0 && visibleItems.length === 0 && (
+          <div className="bg-white rounded-lg shadow-md p-12 text-center">
+            <p className="text-gray-500 text-lg">No items match the current search and filters.</p>
           </div>
         )}
       </div>
+
+      {/* Database Upgraded In Another Tab */}
+      {databaseStatus === 'outdated' && (
+        <UpdatePrompt
+          message="Things To Buy was updated in another tab. Reload to keep saving changes."
+          onReload={() => window.location.reload()}
+        />
+      )}
+      {databaseStatus === 'blocked' && (
+        <UpdatePrompt
+          message="Close other Things To Buy tabs to finish updating."
+          onDismiss={() => setDatabaseStatus(null)}
+        />
+      )}
+
+      {/* New Version Prompt */}
+      {appUpdate.updateAvailable && (
+        <UpdatePrompt onReload={appUpdate.reload} onDismiss={appUpdate.dismiss} />
+      )}
+
+      {/* Undo Toast */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.action === 'undo' ? (history.canUndo ? 'Undo' : null) : (history.canRedo ? 'Redo' : null)}
+          onAction={toast.action === 'undo' ? handleUndo : handleRedo}
+          onDismiss={dismissToast}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { formatMoney } from '../utils/price'
+import { ANALYTICS_MONTHS, analyticsToCSV, buildSpendingAnalytics } from '../utils/analytics'
+import { downloadFile } from '../utils/download'
+import MonthlySpendChart from './MonthlySpendChart'
+import SpendBreakdownChart from './SpendBreakdownChart'
+
+// Most groups shown in the category and store charts
+const MAX_GROUPS = 8
+
+// Whole days, or "<1 day" for same-day purchases
+const formatDays = (days) => {
+  if (days < 1) return '<1 day'
+  const rounded = Math.round(days)
+  return `${rounded} ${rounded === 1 ? 'day' : 'days'}`
+}
+
+function AnalyticsPanel({ items, lists, activeListId, baseCurrency, rates, vendorAliases }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [scope, setScope] = useState('all')
+
+  const activeList = lists.find(list => list.id === activeListId)
+  const scopedItems = scope === 'list' ? items.filter(item => item.listId === activeListId) : items
+  // Only worked out while the panel is open
+  const analytics = isOpen ? buildSpendingAnalytics(scopedItems, { baseCurrency, rates, vendorAliases }) : null
+
+  // Download the aggregates as CSV or JSON
+  const handleExport = (format) => {
+    const date = new Date().toISOString().slice(0, 10)
+    if (format === 'csv') {
+      downloadFile(analyticsToCSV(analytics), `things-to-buy-spending-${date}.csv`, 'text/csv')
+    } else {
+      const report = { exportedAt: new Date().toISOString(), scope: scope === 'list' ? activeList?.name : 'All lists', ...analytics }
+      downloadFile(JSON.stringify(report, null, 2), `things-to-buy-spending-${date}.json`, 'application/json')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Spending</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-6">
+          <div className="flex gap-2 flex-wrap items-center">
+            <select
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Lists to include"
+            >
+              <option value="all">All lists</option>
+              <option value="list">This list{activeList ? ` (${activeList.name})` : ''}</option>
+            </select>
+            <button
+              onClick={() => handleExport('csv')}
+              disabled={analytics.purchaseCount === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              disabled={analytics.purchaseCount === 0}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+            >
+              Export JSON
+            </button>
+          </div>
+
+          {analytics.missing.length > 0 && (
+            <p className="text-sm text-red-600">
+              Leaves out purchases in {analytics.missing.join(', ')}: no exchange rate to {baseCurrency}.
+            </p>
+          )}
+
+          {analytics.purchaseCount === 0 ? (
+            <p className="text-gray-500">Nothing bought yet. Mark items as bought to see where the money goes.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
+                <div className="p-3 bg-gray-50 rounded-md">
+                  <div className="text-sm text-gray-600">Total spent</div>
+                  <div className="text-xl font-bold text-gray-800">{formatMoney(analytics.totalSpent, baseCurrency)}</div>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-md">
+                  <div className="text-sm text-gray-600">Purchases</div>
+                  <div className="text-xl font-bold text-gray-800">{analytics.purchaseCount}</div>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-md">
+                  <div className="text-sm text-gray-600">Average time to buy</div>
+                  <div className="text-xl font-bold text-gray-800">
+                    {analytics.averageDaysToBuy === null ? '–' : formatDays(analytics.averageDaysToBuy)}
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">Last {ANALYTICS_MONTHS} months</h3>
+                <MonthlySpendChart months={analytics.monthly} currency={baseCurrency} />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-700 mb-2">By category</h3>
+                  <SpendBreakdownChart groups={analytics.byCategory.slice(0, MAX_GROUPS)} currency={baseCurrency} label="Spend by category" />
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-700 mb-2">By store</h3>
+                  <SpendBreakdownChart groups={analytics.byStore.slice(0, MAX_GROUPS)} currency={baseCurrency} label="Spend by store" />
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-semibold text-gray-700 mb-2">Largest purchases</h3>
+                <table className="w-full text-sm text-left">
+                  <tbody>
+                    {analytics.largest.map(purchase => (
+                      <tr key={`${purchase.id}-${purchase.boughtAt}`} className="border-t border-gray-100">
+                        <td className="py-1 pr-4 text-gray-800">
+                          {purchase.name}
+                          {purchase.quantity > 1 && <span className="text-gray-500"> × {purchase.quantity}</span>}
+                        </td>
+                        <td className="py-1 pr-4 text-gray-600">{new Date(purchase.boughtAt).toLocaleDateString()}</td>
+                        <td className="py-1 text-right font-semibold text-gray-800">
+                          {formatMoney(purchase.spent, purchase.currency)}
+                          {purchase.currency !== baseCurrency && (
+                            <span className="ml-1 font-normal text-gray-500">≈ {formatMoney(purchase.amount, baseCurrency)}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AnalyticsPanel
@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { parseBackupFile } from '../utils/backup'
+
+function BackupPanel({ onExportJSON, onExportCSV, onImport }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [pendingImport, setPendingImport] = useState(null)
+  const [mode, setMode] = useState('merge')
+  const [message, setMessage] = useState('')
+
+  // Read and validate the chosen file without touching the database
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const parsed = parseBackupFile(await file.text(), file.name)
+    setPendingImport({ ...parsed, fileName: file.name })
+    setMode('merge')
+    setMessage('')
+  }
+
+  // Apply the validated import
+  const handleConfirmImport = async () => {
+    if (mode === 'replace' && !window.confirm('Replace all lists, items, budgets and rates with this backup?')) {
+      return
+    }
+    try {
+      await onImport(pendingImport.data, mode, pendingImport.kind)
+      setMessage(`Imported ${pendingImport.data.items.length} items from ${pendingImport.fileName}.`)
+      setPendingImport(null)
+    } catch (error) {
+      console.error('Error importing backup:', error)
+      setMessage('Import failed. See the browser console for details.')
+    }
+  }
+
+  const hasErrors = pendingImport?.errors.length > 0
+  // Replacing everything is only allowed from a file that validated cleanly
+  const canReplace = pendingImport?.data && !hasErrors && pendingImport.kind === 'json'
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Backup &amp; Restore</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={onExportJSON}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={onExportCSV}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Export CSV
+            </button>
+            <label className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors cursor-pointer">
+              Import JSON/CSV
+              <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+
+          {pendingImport && (
+            <div className="p-4 border border-gray-200 rounded-md space-y-3">
+              <p className="font-semibold text-gray-700">{pendingImport.fileName}</p>
+              {pendingImport.data && (
+                <p className="text-sm text-gray-600">
+                  {pendingImport.data.items.length} valid items in {pendingImport.data.lists.length} lists
+                  {pendingImport.kind === 'json' && `, ${pendingImport.data.budgets.length} budgets, ${pendingImport.data.rates.length} exchange rates`}
+                </p>
+              )}
+              {hasErrors && (
+                <div className="text-sm text-red-700">
+                  <p className="font-semibold">{pendingImport.errors.length} problem{pendingImport.errors.length === 1 ? '' : 's'} found:</p>
+                  <ul className="list-disc pl-5 max-h-40 overflow-y-auto">
+                    {pendingImport.errors.map((error, index) => (
+                      <li key={index}>{error}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {pendingImport.data && (
+                <>
+                  <div className="flex gap-4 text-gray-700">
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="importMode"
+                        value="merge"
+                        checked={mode === 'merge'}
+                        onChange={() => setMode('merge')}
+                      />
+                      Merge by id{hasErrors && ' (valid rows only)'}
+                    </label>
+                    <label className={`flex items-center gap-2 ${canReplace ? '' : 'opacity-50'}`}>
+                      <input
+                        type="radio"
+                        name="importMode"
+                        value="replace"
+                        checked={mode === 'replace'}
+                        onChange={() => setMode('replace')}
+                        disabled={!canReplace}
+                      />
+                      Replace all
+                    </label>
+                  </div>
+                  {!canReplace && (
+                    <p className="text-xs text-gray-500">
+                      Replace all needs a JSON backup with no problems.
+                    </p>
+                  )}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleConfirmImport}
+                      disabled={pendingImport.data.items.length === 0 && pendingImport.data.lists.length === 0}
+                      className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+                    >
+                      Import
+                    </button>
+                    <button
+                      onClick={() => setPendingImport(null)}
+                      className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {message && <p className="text-sm text-gray-700">{message}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BackupPanel
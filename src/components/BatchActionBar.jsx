@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { openLinks } from '../utils/vendors'
+
+// Actions on every selected item; each one is a single change that can be undone
+function BatchActionBar({ items, lists, activeListId, categories, onSetBought, onMove, onSetCategory, onAddTag, onDelete, onClear }) {
+  const [category, setCategory] = useState('')
+  const [tag, setTag] = useState('')
+  const [blockedCount, setBlockedCount] = useState(0)
+  const otherLists = lists.filter(list => list.id !== activeListId)
+  const links = [...new Set(items.map(item => item.link).filter(Boolean))]
+
+  // Give every selected item this category, or none when left empty
+  const handleSetCategory = (e) => {
+    e.preventDefault()
+    onSetCategory(category.trim())
+    setCategory('')
+  }
+
+  // Add a tag to every selected item
+  const handleAddTag = (e) => {
+    e.preventDefault()
+    if (!tag.trim()) return
+    onAddTag(tag.trim())
+    setTag('')
+  }
+
+  // Move the selected items to the chosen list; option values are strings, so look the id up
+  const handleMove = (value) => {
+    const list = otherLists.find(other => String(other.id) === value)
+    if (list) onMove(list.id)
+  }
+
+  // Open every selected product link in its own tab
+  const handleOpenAll = () => {
+    setBlockedCount(openLinks(links))
+  }
+
+  return (
+    <div className="sticky top-0 z-10 bg-blue-50 border border-blue-200 rounded-lg shadow-md p-4 mb-6 space-y-3">
+      <div className="flex gap-2 flex-wrap items-center">
+        <span className="font-semibold text-gray-700 mr-2">{items.length} selected</span>
+        {items.some(item => !item.bought) && (
+          <button
+            onClick={() => onSetBought(true)}
+            className="px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+          >
+            Mark as Bought
+          </button>
+        )}
+        {items.some(item => item.bought) && (
+          <button
+            onClick={() => onSetBought(false)}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Mark as Need to Buy
+          </button>
+        )}
+        {links.length > 0 && (
+          <button
+            onClick={handleOpenAll}
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            Open Links ({links.length})
+          </button>
+        )}
+        <button
+          onClick={onDelete}
+          className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+        >
+          Delete
+        </button>
+        <button
+          onClick={onClear}
+          className="ml-auto px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+        >
+          Clear Selection
+        </button>
+      </div>
+      <div className="flex gap-2 flex-wrap items-center">
+        {otherLists.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => handleMove(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            aria-label="Move selected items to list"
+          >
+            <option value="">Move to list…</option>
+            {otherLists.map(list => (
+              <option key={list.id} value={list.id}>{list.name}</option>
+            ))}
+          </select>
+        )}
+        <form onSubmit={handleSetCategory} className="flex gap-1 items-center">
+          <input
+            type="text"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            list="batch-categories"
+            placeholder="Category"
+            className="w-36 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            aria-label="Category for selected items"
+          />
+          <datalist id="batch-categories">
+            {categories.map(name => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+          <button
+            type="submit"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            {category.trim() ? 'Set Category' : 'Clear Category'}
+          </button>
+        </form>
+        <form onSubmit={handleAddTag} className="flex gap-1 items-center">
+          <input
+            type="text"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="Tag"
+            className="w-32 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            aria-label="Tag for selected items"
+          />
+          <button
+            type="submit"
+            disabled={!tag.trim()}
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+          >
+            Add Tag
+          </button>
+        </form>
+      </div>
+      {blockedCount > 0 && (
+        <p className="text-sm text-red-600" role="alert">
+          The browser blocked {blockedCount} {blockedCount === 1 ? 'tab' : 'tabs'}. Allow pop-ups for this site to open them all at once.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default BatchActionBar
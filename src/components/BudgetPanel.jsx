@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import { CURRENCIES, formatMoney, parsePrice } from '../utils/price'
+import { getBudgetLabel, monthKey } from '../utils/budgets'
+
+function BudgetPanel({ budgets, lists, activeListId, baseCurrency, onAddBudget, onDeleteBudget }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [formData, setFormData] = useState({
+    scope: 'list',
+    month: monthKey(),
+    amount: '',
+    currency: baseCurrency
+  })
+
+  // Handle form input changes
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  // Add a budget for the chosen scope, replacing any existing budget for the same scope
+  const handleAddBudget = (e) => {
+    e.preventDefault()
+    const price = parsePrice(formData.amount, formData.currency)
+    if (!price || price.amount <= 0) return
+
+    const budget = {
+      id: Date.now(),
+      scope: formData.scope,
+      listId: formData.scope === 'list' ? activeListId : null,
+      month: formData.scope === 'month' ? formData.month : null,
+      amount: price.amount,
+      currency: price.currency
+    }
+    onAddBudget(budget)
+    setFormData(prev => ({ ...prev, amount: '' }))
+  }
+
+  const activeList = lists.find(list => list.id === activeListId)
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Budgets</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          {budgets.length === 0 ? (
+            <p className="text-gray-500">No budgets yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {budgets.map(budget => (
+                <li key={budget.id} className="flex justify-between items-center gap-2">
+                  <span className="text-gray-700">
+                    <span className="font-semibold">{getBudgetLabel(budget, lists)}</span>
+                    <span className="ml-2 text-xs text-gray-500 uppercase">{budget.scope}</span>
+                  </span>
+                  <span className="flex items-center gap-2">
+                    {formatMoney(budget.amount, budget.currency)}
+                    <button
+                      onClick={() => onDeleteBudget(budget.id)}
+                      className="px-2 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleAddBudget} className="flex gap-2 items-center flex-wrap">
+            <select
+              name="scope"
+              value={formData.scope}
+              onChange={handleInputChange}
+              className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Budget scope"
+            >
+              <option value="list">This list{activeList ? ` (${activeList.name})` : ''}</option>
+              <option value="overall">All lists</option>
+              <option value="month">Calendar month</option>
+            </select>
+            {formData.scope === 'month' && (
+              <input
+                type="month"
+                name="month"
+                value={formData.month}
+                onChange={handleInputChange}
+                className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Budget month"
+                required
+              />
+            )}
+            <input
+              type="text"
+              name="amount"
+              value={formData.amount}
+              onChange={handleInputChange}
+              placeholder="e.g., 25,000"
+              className="w-36 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Budget amount"
+              required
+            />
+            <select
+              name="currency"
+              value={formData.currency}
+              onChange={handleInputChange}
+              className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Budget currency"
+            >
+              {CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Set Budget
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BudgetPanel
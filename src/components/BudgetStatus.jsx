@@ -0,0 +1,40 @@
+import { formatMoney } from '../utils/price'
+
+function BudgetStatus({ label, budget, status }) {
+  const usedPercent = budget.amount > 0 ? Math.min(100, (status.spent / budget.amount) * 100) : 100
+  const plannedPercent = budget.amount > 0 ? Math.min(100 - usedPercent, (status.planned / budget.amount) * 100) : 0
+
+  return (
+    <div className="text-gray-700">
+      <div className="flex justify-between items-center flex-wrap gap-2 mb-1">
+        <span className="font-semibold">
+          Budget – {label}: {formatMoney(budget.amount, budget.currency)}
+        </span>
+        <span className="text-sm">
+          Spent {formatMoney(status.spent, budget.currency)}
+          {' · '}Remaining{' '}
+          <span className={status.remaining < 0 ? 'text-red-600 font-semibold' : ''}>
+            {formatMoney(status.remaining, budget.currency)}
+          </span>
+          {' · '}Planned {formatMoney(status.planned, budget.currency)}
+        </span>
+      </div>
+      <div className="h-2 bg-gray-200 rounded-full overflow-hidden flex" aria-hidden="true">
+        <div className="bg-green-500" style={{ width: `${usedPercent}%` }}></div>
+        <div className={status.isOver ? 'bg-red-500' : 'bg-blue-400'} style={{ width: `${plannedPercent}%` }}></div>
+      </div>
+      {status.isOver && (
+        <p className="text-sm text-red-600 mt-1">
+          Planned spend is {formatMoney(status.projected - budget.amount, budget.currency)} over this budget.
+        </p>
+      )}
+      {status.missing.length > 0 && (
+        <p className="text-sm text-yellow-700 mt-1">
+          Not counted (no exchange rate): {status.missing.join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default BudgetStatus
@@ -0,0 +1,71 @@
+// Review gift reservations sent back from a shared list before applying them
+function ClaimImportPanel({ claim, preview, surpriseMode, onApply, onDismiss }) {
+  const { data, errors } = claim
+
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded-lg p-6 mb-8 space-y-3">
+      <h2 className="text-2xl font-semibold text-purple-900">Gift reservations received</h2>
+
+      {errors.length > 0 && (
+        <ul className="list-disc pl-5 text-sm text-red-700">
+          {errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      {data && (
+        surpriseMode ? (
+          <p className="text-purple-900">
+            {preview.changes.length} item{preview.changes.length === 1 ? '' : 's'} will be put on hold.
+            Surprise mode is on, so who reserved what stays hidden.
+          </p>
+        ) : (
+          <>
+            <p className="text-purple-900">
+              {data.by} is reserving {preview.changes.length} item{preview.changes.length === 1 ? '' : 's'} from "{data.list.name}":
+            </p>
+            <ul className="list-disc pl-5 text-purple-900">
+              {preview.changes.map(({ item }) => (
+                <li key={item.id}>{item.name}</li>
+              ))}
+            </ul>
+          </>
+        )
+      )}
+
+      {data && preview.taken.length > 0 && (
+        <p className="text-sm text-yellow-800">
+          {surpriseMode
+            ? `${preview.taken.length} item${preview.taken.length === 1 ? ' was' : 's were'} already reserved by someone else and will be left alone.`
+            : `Already reserved by someone else: ${preview.taken.map(item => `${item.name} (${item.reservation.by})`).join(', ')}`}
+        </p>
+      )}
+      {data && preview.missing.length > 0 && (
+        <p className="text-sm text-yellow-800">
+          No longer on your lists: {preview.missing.join(', ')}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        {data && (
+          <button
+            onClick={onApply}
+            disabled={preview.changes.length === 0}
+            className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+          >
+            Apply Reservations
+          </button>
+        )}
+        <button
+          onClick={onDismiss}
+          className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ClaimImportPanel
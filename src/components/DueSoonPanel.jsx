@@ -0,0 +1,60 @@
+import { useState } from 'react'
+import { DUE_SOON_DAYS } from '../utils/recurring'
+
+// "today", "tomorrow" or "in 3 days", counted in calendar days
+const describeDueDate = (dueAt) => {
+  const startOfDay = (time) => new Date(time).setHours(0, 0, 0, 0)
+  const days = Math.round((startOfDay(dueAt) - startOfDay(Date.now())) / (24 * 60 * 60 * 1000))
+  if (days <= 0) return 'later today'
+  if (days === 1) return 'tomorrow'
+  return `in ${days} days`
+}
+
+// Recurring items that come back to Need to Buy within the next few days
+// entries come from getDueSoon; onRestock brings one back early
+function DueSoonPanel({ entries, onRestock }) {
+  const [isOpen, setIsOpen] = useState(true)
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">
+          Due Soon ({entries.length})
+        </h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm text-gray-600">
+            Coming back to Need to Buy in the next {DUE_SOON_DAYS} days.
+          </p>
+          <ul className="divide-y divide-gray-100">
+            {entries.map(({ item, dueAt }) => (
+              <li key={item.id} className="py-2 flex flex-wrap justify-between items-center gap-2">
+                <span className="text-gray-800">
+                  {item.name}{' '}
+                  <span className="text-sm text-gray-500" title={new Date(dueAt).toLocaleString()}>
+                    {describeDueDate(dueAt)}
+                  </span>
+                </span>
+                <button
+                  onClick={() => onRestock(item.id)}
+                  className="px-3 py-1 text-sm bg-blue-100 text-blue-800 rounded hover:bg-blue-200"
+                >
+                  Need It Now
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DueSoonPanel
@@ -0,0 +1,233 @@
+import { useState } from 'react'
+import { CURRENCIES } from '../utils/price'
+import { isRateStale, parseRatesFile, rebaseRates, today, STALE_RATE_DAYS } from '../utils/exchangeRates'
+
+function ExchangeRatesPanel({ baseCurrency, rates, onChangeBase, onSaveRates }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [draftRates, setDraftRates] = useState([])
+  const [newRate, setNewRate] = useState({ currency: '', rate: '', asOf: today() })
+  const [messages, setMessages] = useState([])
+
+  const availableCurrencies = CURRENCIES.filter(code =>
+    code !== baseCurrency && !draftRates.some(rate => rate.currency === code)
+  )
+
+  // Open the panel with a fresh copy of the stored rates
+  const handleToggleOpen = () => {
+    if (!isOpen) {
+      setDraftRates(rates.map(rate => ({ ...rate, rate: String(rate.rate) })))
+      setMessages([])
+    }
+    setIsOpen(prev => !prev)
+  }
+
+  // Change the base currency, re-expressing the table against it
+  const handleChangeBase = async (e) => {
+    const changed = await onChangeBase(e.target.value)
+    if (changed) {
+      setDraftRates(changed.map(rate => ({ ...rate, rate: String(rate.rate) })))
+      setMessages([])
+    } else {
+      setMessages([`Add a rate for ${e.target.value} before making it the base currency.`])
+    }
+  }
+
+  // Edit a field of an existing rate row
+  const handleRateChange = (currency, field, value) => {
+    setDraftRates(prev => prev.map(rate =>
+      rate.currency === currency ? { ...rate, [field]: value } : rate
+    ))
+  }
+
+  // Remove a rate row
+  const handleRemoveRate = (currency) => {
+    setDraftRates(prev => prev.filter(rate => rate.currency !== currency))
+  }
+
+  // Add a new rate row
+  const handleAddRate = (e) => {
+    e.preventDefault()
+    const currency = newRate.currency || availableCurrencies[0]
+    if (currency && Number(newRate.rate) > 0) {
+      setDraftRates(prev => [...prev, { currency, rate: newRate.rate, asOf: newRate.asOf || today() }])
+      setNewRate({ currency: '', rate: '', asOf: today() })
+    }
+  }
+
+  // Validate and persist the edited table
+  const handleSave = async () => {
+    const invalid = draftRates.filter(rate => !(Number(rate.rate) > 0) || !rate.asOf)
+    if (invalid.length > 0) {
+      setMessages(invalid.map(rate => `Enter a positive rate and a date for ${rate.currency}.`))
+      return
+    }
+    await onSaveRates(draftRates.map(rate => ({ ...rate, rate: Number(rate.rate) })))
+    setMessages(['Rates saved.'])
+  }
+
+  // Import rates from a JSON or CSV file and merge them into the table
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    const { base, rates: imported, errors } = parseRatesFile(await file.text(), file.name)
+    let importedRates = imported
+    if (base && base !== baseCurrency) {
+      importedRates = rebaseRates(imported, base, baseCurrency)
+      if (!importedRates) {
+        setMessages([...errors, `The file uses ${base} as its base and has no ${baseCurrency} rate to convert from.`])
+        return
+      }
+    }
+
+    const merged = [
+      ...draftRates.filter(rate => !importedRates.some(importedRate => importedRate.currency === rate.currency)),
+      ...importedRates.filter(rate => rate.currency !== baseCurrency).map(rate => ({ ...rate, rate: String(rate.rate) }))
+    ]
+    setDraftRates(merged)
+    setMessages([
+      `Imported ${importedRates.length} rate${importedRates.length === 1 ? '' : 's'} from ${file.name}. Save to keep them.`,
+      ...errors
+    ])
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={handleToggleOpen}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Currency Settings</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <div>
+            <label htmlFor="baseCurrency" className="block text-sm font-medium text-gray-700 mb-1">
+              Base currency for grand totals
+            </label>
+            <select
+              id="baseCurrency"
+              value={baseCurrency}
+              onChange={handleChangeBase}
+              className="px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            >
+              {CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <p className="text-sm text-gray-500 mb-2">
+              Rates older than {STALE_RATE_DAYS} days are marked stale.
+            </p>
+            {draftRates.length === 0 ? (
+              <p className="text-gray-500">No exchange rates yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {draftRates.map(rate => (
+                  <div key={rate.currency} className="flex gap-2 items-center flex-wrap">
+                    <span className="w-20 text-gray-700">1 {rate.currency} =</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={rate.rate}
+                      onChange={(e) => handleRateChange(rate.currency, 'rate', e.target.value)}
+                      className="w-32 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                      aria-label={`${rate.currency} rate`}
+                    />
+                    <span className="text-gray-700">{baseCurrency} as of</span>
+                    <input
+                      type="date"
+                      value={rate.asOf}
+                      onChange={(e) => handleRateChange(rate.currency, 'asOf', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                      aria-label={`${rate.currency} rate date`}
+                    />
+                    {isRateStale(rate) && (
+                      <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded">
+                        STALE
+                      </span>
+                    )}
+                    <button
+                      onClick={() => handleRemoveRate(rate.currency)}
+                      className="px-2 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {availableCurrencies.length > 0 && (
+            <form onSubmit={handleAddRate} className="flex gap-2 items-center flex-wrap">
+              <select
+                value={newRate.currency || availableCurrencies[0]}
+                onChange={(e) => setNewRate(prev => ({ ...prev, currency: e.target.value }))}
+                className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="New rate currency"
+              >
+                {availableCurrencies.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={newRate.rate}
+                onChange={(e) => setNewRate(prev => ({ ...prev, rate: e.target.value }))}
+                placeholder={`Rate in ${baseCurrency}`}
+                className="w-32 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="New rate"
+              />
+              <input
+                type="date"
+                value={newRate.asOf}
+                onChange={(e) => setNewRate(prev => ({ ...prev, asOf: e.target.value }))}
+                className="px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="New rate date"
+              />
+              <button
+                type="submit"
+                className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Add Rate
+              </button>
+            </form>
+          )}
+
+          <div className="flex gap-2 flex-wrap items-center">
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+            >
+              Save Rates
+            </button>
+            <label className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors cursor-pointer">
+              Import JSON/CSV
+              <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImport} className="hidden" />
+            </label>
+          </div>
+
+          {messages.length > 0 && (
+            <ul className="text-sm text-gray-700 list-disc pl-5">
+              {messages.map((message, index) => (
+                <li key={index}>{message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExchangeRatesPanel
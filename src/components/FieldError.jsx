@@ -0,0 +1,11 @@
+// Error message under a form field, referenced by the field's aria-describedby
+function FieldError({ id, message }) {
+  if (!message) return null
+  return (
+    <p id={id} className="mt-1 text-sm text-red-600">
+      {message}
+    </p>
+  )
+}
+
+export default FieldError
@@ -0,0 +1,328 @@
+import { formatMoney } from '../utils/price'
+import { getPriorityLabel } from '../utils/itemDetails'
+import { getLineTotal, getQuantity, getQuantityBought, isPartlyBought, parseQuantity } from '../utils/quantity'
+import { isAtOrBelowTarget, summarizePriceHistory } from '../utils/priceHistory'
+import { describeRepeat, getDueAt } from '../utils/recurring'
+import { useImageURL } from '../hooks/useImageURL'
+import ItemForm from './ItemForm'
+import FieldError from './FieldError'
+import PriceSparkline from './PriceSparkline'
+
+const priorityStyles = {
+  must: 'bg-red-100 text-red-800',
+  nice: 'bg-blue-100 text-blue-800',
+  someday: 'bg-gray-100 text-gray-700'
+}
+
+// readOnly cards (shared lists) show children in place of the owner's actions
+function ItemCard({ item, priceHistory, readOnly, surpriseMode, children, isEditing, editData, editErrors, editDuplicate, categories, bundles, isSelected, onSelect, reorder, onEditChange, onSaveEdit, onCancelEdit, onToggleBought, onBuyOne, onStartEdit, onDelete, onClearReservation }) {
+  const thumbnailURL = useImageURL(item.imageId)
+
+  if (isEditing) {
+    return (
+      <div className={`bg-white rounded-lg shadow-md p-6 border-l-4 ${item.bought ? 'border-green-500' : 'border-blue-500'}`}>
+        <div className="space-y-4">
+          <ItemForm
+            idPrefix={`edit-${item.id}`}
+            values={editData}
+            errors={editErrors}
+            duplicate={editDuplicate}
+            onChange={onEditChange}
+            categories={categories}
+            bundles={bundles}
+          />
+          {(getQuantity(item) > 1 || parseQuantity(editData.quantity) > 1) && (
+            <div>
+              <label htmlFor={`edit-${item.id}-quantity-bought`} className="block text-sm font-medium text-gray-700 mb-1">
+                Bought So Far
+              </label>
+              <input
+                type="number"
+                id={`edit-${item.id}-quantity-bought`}
+                name="quantityBought"
+                min="0"
+                max={parseQuantity(editData.quantity) || undefined}
+                step="1"
+                value={editData.quantityBought}
+                onChange={onEditChange}
+                className={`w-full px-4 py-2 border ${editErrors.quantityBought ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-2 focus:ring-blue-500`}
+                aria-invalid={Boolean(editErrors.quantityBought)}
+                aria-describedby={editErrors.quantityBought ? `edit-${item.id}-quantity-bought-error` : undefined}
+              />
+              <FieldError id={`edit-${item.id}-quantity-bought-error`} message={editErrors.quantityBought} />
+            </div>
+          )}
+          {getQuantityBought(item) > 0 && (
+            <div>
+              <label htmlFor={`edit-${item.id}-paid`} className="block text-sm font-medium text-gray-700 mb-1">
+                {getQuantity(item) > 1 ? 'Paid Price (each)' : 'Paid Price'}
+              </label>
+              <input
+                type="text"
+                id={`edit-${item.id}-paid`}
+                name="paid"
+                value={editData.paid}
+                onChange={onEditChange}
+                className={`w-full px-4 py-2 border ${editErrors.paid ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-2 focus:ring-blue-500`}
+                aria-invalid={Boolean(editErrors.paid)}
+                aria-describedby={editErrors.paid ? `edit-${item.id}-paid-error` : undefined}
+              />
+              <FieldError id={`edit-${item.id}-paid-error`} message={editErrors.paid} />
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={() => onSaveEdit(item.id)}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              onClick={onCancelEdit}
+              className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const { points, lowest, changePercent } = summarizePriceHistory(item, priceHistory)
+  const atTarget = !item.bought && isAtOrBelowTarget(item)
+  const quantity = getQuantity(item)
+  const quantityBought = getQuantityBought(item)
+  const repeatLabel = describeRepeat(item)
+  const dueAt = getDueAt(item)
+
+  return (
+    <div className={`${isSelected ? 'bg-blue-50' : 'bg-white'} rounded-lg shadow-md p-6 border-l-4 ${item.bought ? 'border-green-500 opacity-75' : 'border-blue-500'} ${atTarget ? 'ring-2 ring-green-400' : ''}`}>
+      <div className="flex gap-4 items-start mb-4">
+        {reorder && (
+          <div className="flex flex-col items-center flex-shrink-0 -my-1 text-gray-400">
+            <button
+              onClick={reorder.onMoveUp}
+              disabled={!reorder.onMoveUp}
+              className="px-1 hover:text-gray-700 disabled:opacity-30"
+              aria-label={`Move "${item.name}" up`}
+            >
+              ▲
+            </button>
+            <button
+              {...reorder.handleProps}
+              className={`px-1 text-lg leading-none hover:text-gray-700 touch-none ${reorder.isDragging ? 'cursor-grabbing' : 'cursor-grab'}`}
+              aria-label={`Reorder "${item.name}": drag, or use the up and down arrow keys`}
+            >
+              ⠿
+            </button>
+            <button
+              onClick={reorder.onMoveDown}
+              disabled={!reorder.onMoveDown}
+              className="px-1 hover:text-gray-700 disabled:opacity-30"
+              aria-label={`Move "${item.name}" down`}
+            >
+              ▼
+            </button>
+          </div>
+        )}
+        {/* Shift-click selects every item between this one and the last one clicked */}
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={(e) => onSelect(item.id, e.nativeEvent.shiftKey)}
+            className="mt-2 w-4 h-4 flex-shrink-0"
+            aria-label={`Select "${item.name}"`}
+          />
+        )}
+        {thumbnailURL && (
+          <img
+            src={thumbnailURL}
+            alt=""
+            className="w-20 h-20 flex-shrink-0 object-contain rounded bg-gray-50"
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2 mb-2">
+            <h3 className="text-xl font-semibold text-gray-800">
+              {item.name}
+            </h3>
+            {item.bought && (
+              <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded">
+                BOUGHT
+              </span>
+            )}
+            {isPartlyBought(item) && (
+              <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded">
+                BOUGHT {quantityBought} OF {quantity}
+              </span>
+            )}
+            {item.priority && (
+              <span className={`px-2 py-1 text-xs font-semibold rounded ${priorityStyles[item.priority] || priorityStyles.nice}`}>
+                {getPriorityLabel(item.priority)}
+              </span>
+            )}
+            {(item.reservation || item.reserved) && (
+              <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded">
+                {surpriseMode ? 'ON HOLD' : 'RESERVED'}
+              </span>
+            )}
+            {atTarget && (
+              <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded">
+                AT TARGET PRICE
+              </span>
+            )}
+          </div>
+          {item.variants?.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+              {item.variants.map(({ name, value }, index) => (
+                <span key={index} className="px-2 py-0.5 bg-indigo-50 text-indigo-800 rounded">
+                  {name ? `${name}: ${value}` : value}
+                </span>
+              ))}
+            </div>
+          )}
+          {(item.category || item.tags?.length > 0 || item.buyTogether || repeatLabel) && (
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+              {item.category && <span className="text-gray-600">{item.category}</span>}
+              {item.tags?.map(tag => (
+                <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full">
+                  #{tag}
+                </span>
+              ))}
+              {item.buyTogether && (
+                <span className="px-2 py-0.5 bg-amber-50 text-amber-800 rounded">
+                  Buy together: {item.buyTogether}
+                </span>
+              )}
+              {repeatLabel && (
+                <span className="px-2 py-0.5 bg-teal-50 text-teal-800 rounded" title="Comes back to Need to Buy on a schedule">
+                  ↻ {repeatLabel}
+                </span>
+              )}
+            </div>
+          )}
+          <p className={`text-lg font-bold mb-2 ${item.bought ? 'text-green-600' : 'text-blue-600'}`}>
+            {quantity > 1
+              ? `${quantity} × ${formatMoney(item.amount, item.currency)} = ${formatMoney(getLineTotal(item), item.currency)}`
+              : formatMoney(item.amount, item.currency)}
+          </p>
+          {(item.reservation || item.reserved) && !item.bought && (
+            <p className="text-sm text-purple-800 mb-2">
+              {surpriseMode || !item.reservation
+                ? "Someone is taking care of this one, so don't buy it."
+                : `Reserved by ${item.reservation.by}${item.reservation.at ? ` on ${new Date(item.reservation.at).toLocaleDateString()}` : ''}`}
+            </p>
+          )}
+          {item.targetAmount != null && (
+            <p className="text-sm text-gray-600 mb-2">
+              Target: {formatMoney(item.targetAmount, item.currency)}
+            </p>
+          )}
+          {points.length > 1 && (
+            <details className="text-sm text-gray-600 mb-2">
+              <summary className="cursor-pointer flex flex-wrap items-center gap-2">
+                <PriceSparkline points={points} targetAmount={item.targetAmount} />
+                <span>Lowest seen {formatMoney(lowest, item.currency)}</span>
+                {changePercent !== null && changePercent !== 0 && (
+                  <span className={changePercent < 0 ? 'text-green-700' : 'text-red-700'}>
+                    {changePercent < 0 ? '▼' : '▲'} {Math.abs(changePercent).toFixed(1)}% since first seen
+                  </span>
+                )}
+              </summary>
+              <table className="mt-2 text-left">
+                <tbody>
+                  {[...points].reverse().map(point => (
+                    <tr key={point.id}>
+                      <td className="pr-4">{new Date(point.recordedAt).toLocaleString()}</td>
+                      <td>{formatMoney(point.amount, point.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          )}
+          {quantityBought > 0 && item.boughtAt && (
+            <p className="text-sm text-gray-600 mb-2">
+              Paid {formatMoney(item.paidAmount ?? item.amount, item.currency)}
+              {quantity > 1 ? ` each for ${quantityBought} of ${quantity}, last on` : ' on'}{' '}
+              {new Date(item.boughtAt).toLocaleDateString()}
+            </p>
+          )}
+          {dueAt && (
+            <p className="text-sm text-teal-800 mb-2">
+              Back in Need to Buy on {new Date(dueAt).toLocaleDateString()}
+            </p>
+          )}
+          {item.notes && (
+            <p className="text-gray-600 mb-2 whitespace-pre-line">{item.notes}</p>
+          )}
+          <a
+            href={item.link}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 hover:text-blue-800 underline break-all"
+          >
+            View Product
+          </a>
+        </div>
+      </div>
+      {readOnly ? children && (
+        <div className="flex gap-2 flex-wrap">
+          {children}
+        </div>
+      ) : (
+        <div className="flex gap-2 flex-wrap">
+          {item.bought ? (
+            <button
+              onClick={() => onToggleBought(item.id)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+            >
+              Mark as Need to Buy
+            </button>
+          ) : (
+            <>
+              {quantity > 1 && (
+                <button
+                  onClick={() => onBuyOne(item.id)}
+                  className="px-4 py-2 bg-green-100 text-green-800 rounded-md hover:bg-green-200 transition-colors"
+                >
+                  Bought One ({quantityBought + 1} of {quantity})
+                </button>
+              )}
+              <button
+                onClick={() => onToggleBought(item.id)}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+              >
+                {quantity > 1 ? 'Mark All as Bought' : 'Mark as Bought'}
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => onStartEdit(item)}
+            className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 transition-colors"
+          >
+            Edit
+          </button>
+          <button
+            onClick={() => onDelete(item.id)}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+          >
+            Delete
+          </button>
+          {item.reservation && (
+            <button
+              onClick={() => onClearReservation(item.id)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              {surpriseMode ? 'Clear Hold' : 'Clear Reservation'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ItemCard
@@ -0,0 +1,173 @@
+import { PRIORITIES } from '../utils/itemDetails'
+import { REPEAT_OPTIONS } from '../utils/recurring'
+import FieldError from './FieldError'
+
+// Quantity, variant, priority, category, tags, buy-together, repeat and notes inputs shared by the add and edit forms
+function ItemDetailsFields({ idPrefix, values, errors = {}, onChange, categories, bundles }) {
+  return (
+    <>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-quantity`} className="block text-sm font-medium text-gray-700 mb-1">
+            Quantity
+          </label>
+          <input
+            type="number"
+            id={`${idPrefix}-quantity`}
+            name="quantity"
+            min="1"
+            step="1"
+            value={values.quantity}
+            onChange={onChange}
+            className={`w-full px-4 py-2 border ${errors.quantity ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+            aria-invalid={Boolean(errors.quantity)}
+            aria-describedby={errors.quantity ? `${idPrefix}-quantity-error` : undefined}
+          />
+          <FieldError id={`${idPrefix}-quantity-error`} message={errors.quantity} />
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor={`${idPrefix}-variants`} className="block text-sm font-medium text-gray-700 mb-1">
+            Variant
+          </label>
+          <input
+            type="text"
+            id={`${idPrefix}-variants`}
+            name="variants"
+            value={values.variants}
+            onChange={onChange}
+            placeholder="e.g., size: M, color: blue"
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-priority`} className="block text-sm font-medium text-gray-700 mb-1">
+            Priority
+          </label>
+          <select
+            id={`${idPrefix}-priority`}
+            name="priority"
+            value={values.priority}
+            onChange={onChange}
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {PRIORITIES.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-category`} className="block text-sm font-medium text-gray-700 mb-1">
+            Category
+          </label>
+          <input
+            type="text"
+            id={`${idPrefix}-category`}
+            name="category"
+            value={values.category}
+            onChange={onChange}
+            list={`${idPrefix}-categories`}
+            placeholder="e.g., Electronics"
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <datalist id={`${idPrefix}-categories`}>
+            {categories.map(category => (
+              <option key={category} value={category} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-tags`} className="block text-sm font-medium text-gray-700 mb-1">
+            Tags
+          </label>
+          <input
+            type="text"
+            id={`${idPrefix}-tags`}
+            name="tags"
+            value={values.tags}
+            onChange={onChange}
+            placeholder="Comma-separated, e.g., gift, birthday"
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-buy-together`} className="block text-sm font-medium text-gray-700 mb-1">
+            Buy Together
+          </label>
+          <input
+            type="text"
+            id={`${idPrefix}-buy-together`}
+            name="buyTogether"
+            value={values.buyTogether}
+            onChange={onChange}
+            list={`${idPrefix}-bundles`}
+            placeholder="Group name, e.g., camera kit"
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <datalist id={`${idPrefix}-bundles`}>
+            {bundles.map(bundle => (
+              <option key={bundle} value={bundle} />
+            ))}
+          </datalist>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor={`${idPrefix}-repeat`} className="block text-sm font-medium text-gray-700 mb-1">
+            Buy Again
+          </label>
+          <select
+            id={`${idPrefix}-repeat`}
+            name="repeat"
+            value={values.repeat}
+            onChange={onChange}
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {REPEAT_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {values.repeat && (
+          <div>
+            <label htmlFor={`${idPrefix}-repeat-days`} className="block text-sm font-medium text-gray-700 mb-1">
+              {values.repeat === 'fixed' ? 'Every (days)' : 'Runs out in about (days)'}
+            </label>
+            <input
+              type="number"
+              id={`${idPrefix}-repeat-days`}
+              name="repeatDays"
+              min="1"
+              step="1"
+              value={values.repeatDays}
+              onChange={onChange}
+              placeholder={values.repeat === 'fixed' ? 'e.g., 30' : 'Optional until bought twice'}
+              className={`w-full px-4 py-2 border ${errors.repeatDays ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent`}
+              aria-invalid={Boolean(errors.repeatDays)}
+              aria-describedby={errors.repeatDays ? `${idPrefix}-repeat-days-error` : undefined}
+            />
+            <FieldError id={`${idPrefix}-repeat-days-error`} message={errors.repeatDays} />
+          </div>
+        )}
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-notes`} className="block text-sm font-medium text-gray-700 mb-1">
+          Notes
+        </label>
+        <textarea
+          id={`${idPrefix}-notes`}
+          name="notes"
+          value={values.notes}
+          onChange={onChange}
+          rows={2}
+          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+    </>
+  )
+}
+
+export default ItemDetailsFields
@@ -0,0 +1,128 @@
+import { CURRENCIES } from '../utils/price'
+import { normalizeLink } from '../utils/links'
+import ItemDetailsFields from './ItemDetailsFields'
+import FieldError from './FieldError'
+import ItemImageField from './ItemImageField'
+
+// Border turns red on fields with an error
+const inputClass = (error) => `px-4 py-2 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent`
+
+// Fields shared by the add form and the edit card; errors come from readItemForm
+// duplicate is another item on the list with the same link, shown as a warning
+function ItemForm({ idPrefix, values, errors, duplicate, onChange, categories, bundles }) {
+  // Show the tidied link once the user leaves the field
+  const handleLinkBlur = () => {
+    const link = normalizeLink(values.link)
+    if (link && link !== values.link) {
+      onChange({ target: { name: 'link', value: link } })
+    }
+  }
+
+  return (
+    <>
+      <div>
+        <label htmlFor={`${idPrefix}-name`} className="block text-sm font-medium text-gray-700 mb-1">
+          Item Name
+        </label>
+        <input
+          type="text"
+          id={`${idPrefix}-name`}
+          name="name"
+          value={values.name}
+          onChange={onChange}
+          placeholder="e.g., Wireless Headphones"
+          className={`w-full ${inputClass(errors.name)}`}
+          aria-invalid={Boolean(errors.name)}
+          aria-describedby={errors.name ? `${idPrefix}-name-error` : undefined}
+        />
+        <FieldError id={`${idPrefix}-name-error`} message={errors.name} />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-link`} className="block text-sm font-medium text-gray-700 mb-1">
+          Product Link
+        </label>
+        <input
+          type="text"
+          inputMode="url"
+          id={`${idPrefix}-link`}
+          name="link"
+          value={values.link}
+          onChange={onChange}
+          onBlur={handleLinkBlur}
+          placeholder="https://www.amazon.com/..."
+          className={`w-full ${inputClass(errors.link)}`}
+          aria-invalid={Boolean(errors.link)}
+          aria-describedby={errors.link ? `${idPrefix}-link-error` : duplicate ? `${idPrefix}-link-duplicate` : undefined}
+        />
+        <FieldError id={`${idPrefix}-link-error`} message={errors.link} />
+        {!errors.link && duplicate && (
+          <p id={`${idPrefix}-link-duplicate`} className="mt-1 text-sm text-yellow-700" role="status">
+            This link is already on the list as "{duplicate.name}"{duplicate.bought ? ' (bought)' : ''}.
+          </p>
+        )}
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-price`} className="block text-sm font-medium text-gray-700 mb-1">
+          Price
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            id={`${idPrefix}-price`}
+            name="price"
+            value={values.price}
+            onChange={onChange}
+            placeholder="e.g., ₹1,299 or $24.99 or 1.299,00 €"
+            className={`flex-1 ${inputClass(errors.price)}`}
+            aria-invalid={Boolean(errors.price)}
+            aria-describedby={errors.price ? `${idPrefix}-price-error` : undefined}
+          />
+          <select
+            name="currency"
+            value={values.currency}
+            onChange={onChange}
+            className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            aria-label="Currency"
+          >
+            {CURRENCIES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        <FieldError id={`${idPrefix}-price-error`} message={errors.price} />
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-target`} className="block text-sm font-medium text-gray-700 mb-1">
+          Target Price
+        </label>
+        <input
+          type="text"
+          id={`${idPrefix}-target`}
+          name="target"
+          value={values.target}
+          onChange={onChange}
+          placeholder="Optional, alert when the price drops to this"
+          className={`w-full ${inputClass(errors.target)}`}
+          aria-invalid={Boolean(errors.target)}
+          aria-describedby={errors.target ? `${idPrefix}-target-error` : undefined}
+        />
+        <FieldError id={`${idPrefix}-target-error`} message={errors.target} />
+      </div>
+      <ItemImageField
+        idPrefix={idPrefix}
+        imageId={values.imageId}
+        onChange={(imageId) => onChange({ target: { name: 'imageId', value: imageId } })}
+      />
+      <ItemDetailsFields
+        idPrefix={idPrefix}
+        values={values}
+        errors={errors}
+        onChange={onChange}
+        categories={categories}
+        bundles={bundles}
+      />
+    </>
+  )
+}
+
+export default ItemForm
@@ -0,0 +1,153 @@
+import { useState } from 'react'
+import { useImageURL } from '../hooks/useImageURL'
+import { getTransferredImage, readClipboardImage, storeImage, storeImageFromURL } from '../utils/images'
+
+// Image picker shared by the add and edit forms: file, drop, paste, clipboard button or image link
+function ItemImageField({ idPrefix, imageId, onChange }) {
+  const [imageLink, setImageLink] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [isDragOver, setIsDragOver] = useState(false)
+  const [error, setError] = useState('')
+  const previewURL = useImageURL(imageId, 'full')
+
+  // Resize and store an image, then hand its id to the form
+  const applyImage = async (loadImage) => {
+    setError('')
+    setIsSaving(true)
+    try {
+      onChange(await loadImage())
+    } catch (error) {
+      console.error('Error saving image:', error)
+      setError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Store a file chosen in the file picker
+  const handleFileChange = (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (file) applyImage(() => storeImage(file))
+  }
+
+  // Store an image dropped on the field
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragOver(false)
+    const file = getTransferredImage(e.dataTransfer)
+    if (file) {
+      applyImage(() => storeImage(file))
+    } else {
+      setError('Drop an image file here.')
+    }
+  }
+
+  // Store an image pasted while the field has focus; pasted text is left alone
+  const handlePaste = (e) => {
+    const file = getTransferredImage(e.clipboardData)
+    if (file) {
+      e.preventDefault()
+      applyImage(() => storeImage(file))
+    }
+  }
+
+  // Read an image from the clipboard
+  const handlePasteButton = () => {
+    applyImage(async () => {
+      const blob = await readClipboardImage()
+      if (!blob) throw new Error('There is no image on the clipboard.')
+      return storeImage(blob)
+    })
+  }
+
+  // Download an image from its link
+  const handleUseLink = () => {
+    const link = imageLink.trim()
+    if (!link) return
+    applyImage(async () => {
+      try {
+        const id = await storeImageFromURL(link)
+        setImageLink('')
+        return id
+      } catch (error) {
+        console.error('Error downloading image:', error)
+        throw new Error("Couldn't download that image; the site may not allow it. Save it and choose the file instead.", { cause: error })
+      }
+    })
+  }
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setIsDragOver(true) }}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+      onPaste={handlePaste}
+      className={`p-3 border-2 border-dashed rounded-md ${isDragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+    >
+      <label htmlFor={`${idPrefix}-image`} className="block text-sm font-medium text-gray-700 mb-2">
+        Image
+      </label>
+      <div className="flex gap-3 items-start">
+        {imageId && previewURL ? (
+          <img src={previewURL} alt="" className="w-20 h-20 object-contain rounded bg-gray-50" />
+        ) : (
+          <div className="w-20 h-20 flex items-center justify-center rounded bg-gray-50 text-xs text-gray-400 text-center">
+            {isSaving ? 'Saving…' : 'Drop or paste an image'}
+          </div>
+        )}
+        <div className="flex-1 space-y-2">
+          <div className="flex gap-2 flex-wrap">
+            <input
+              type="file"
+              id={`${idPrefix}-image`}
+              accept="image/*"
+              onChange={handleFileChange}
+              className="text-sm max-w-full"
+            />
+            {navigator.clipboard?.read && (
+              <button
+                type="button"
+                onClick={handlePasteButton}
+                disabled={isSaving}
+                className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+              >
+                Paste Image
+              </button>
+            )}
+            {imageId && (
+              <button
+                type="button"
+                onClick={() => onChange(null)}
+                className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="url"
+              value={imageLink}
+              onChange={(e) => setImageLink(e.target.value)}
+              placeholder="or an image link"
+              className="flex-1 min-w-0 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Image link"
+            />
+            <button
+              type="button"
+              onClick={handleUseLink}
+              disabled={isSaving || !imageLink.trim()}
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50"
+            >
+              Use Link
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ItemImageField
@@ -0,0 +1,111 @@
+import { DEFAULT_VIEW, SORT_OPTIONS, isViewFiltered } from '../utils/itemFilters'
+
+function ItemToolbar({ view, onChange, stores, baseCurrency, shownCount, totalCount }) {
+  // Update one field of the view
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    onChange(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 mb-6 space-y-3">
+      <input
+        type="search"
+        name="q"
+        value={view.q}
+        onChange={handleChange}
+        placeholder="Search name, link, notes or tags"
+        className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        aria-label="Search items"
+      />
+      <div className="flex gap-2 flex-wrap items-center">
+        <input
+          type="number"
+          name="min"
+          min="0"
+          step="any"
+          value={view.min}
+          onChange={handleChange}
+          placeholder={`Min (${baseCurrency})`}
+          className="w-32 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label={`Minimum price in ${baseCurrency}`}
+        />
+        <input
+          type="number"
+          name="max"
+          min="0"
+          step="any"
+          value={view.max}
+          onChange={handleChange}
+          placeholder={`Max (${baseCurrency})`}
+          className="w-32 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label={`Maximum price in ${baseCurrency}`}
+        />
+        <select
+          name="store"
+          value={view.store}
+          onChange={handleChange}
+          className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label="Store"
+        >
+          <option value="">All stores</option>
+          {stores.map(store => (
+            <option key={store} value={store}>{store}</option>
+          ))}
+        </select>
+        <select
+          name="status"
+          value={view.status}
+          onChange={handleChange}
+          className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label="Bought status"
+        >
+          <option value="all">All items</option>
+          <option value="need">Need to buy</option>
+          <option value="bought">Bought</option>
+        </select>
+        <select
+          name="sort"
+          value={view.sort}
+          onChange={handleChange}
+          className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label="Sort by"
+        >
+          {SORT_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          name="group"
+          value={view.group}
+          onChange={handleChange}
+          className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label="Group Need to Buy by"
+        >
+          <option value="">No grouping</option>
+          <option value="category">Group by category</option>
+          <option value="priority">Group by priority</option>
+          <option value="store">Group by store</option>
+        </select>
+        {isViewFiltered(view) && (
+          <button
+            onClick={() => onChange(prev => ({ ...DEFAULT_VIEW, sort: prev.sort, group: prev.group }))}
+            className="px-3 py-2 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      {isViewFiltered(view) && (
+        <p className="text-sm text-gray-500">
+          Showing {shownCount} of {totalCount} items
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default ItemToolbar
@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { formatTotals } from '../utils/price'
+
+function ListSwitcher({ lists, activeListId, stats, onSelect, onCreate, onRename, onToggleArchive, onDelete }) {
+  const [newListName, setNewListName] = useState('')
+  const [renamingId, setRenamingId] = useState(null)
+  const [renameValue, setRenameValue] = useState('')
+  const [showArchived, setShowArchived] = useState(false)
+
+  const activeLists = lists.filter(list => !list.archived)
+  const archivedLists = lists.filter(list => list.archived)
+  const visibleLists = showArchived ? [...activeLists, ...archivedLists] : activeLists
+
+  // Create a new list from the inline form
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (newListName.trim()) {
+      onCreate(newListName.trim())
+      setNewListName('')
+    }
+  }
+
+  // Start renaming a list
+  const handleStartRename = (list) => {
+    setRenamingId(list.id)
+    setRenameValue(list.name)
+  }
+
+  // Save the new list name
+  const handleSaveRename = (e) => {
+    e.preventDefault()
+    if (renameValue.trim()) {
+      onRename(renamingId, renameValue.trim())
+      setRenamingId(null)
+      setRenameValue('')
+    }
+  }
+
+  // Delete a list after confirming, since its items go with it
+  const handleDelete = (list) => {
+    const count = stats[list.id]?.count || 0
+    const message = count > 0
+      ? `Delete "${list.name}" and its ${count} item${count === 1 ? '' : 's'}?`
+      : `Delete "${list.name}"?`
+    if (window.confirm(message)) {
+      onDelete(list.id)
+    }
+  }
+
+  const activeList = lists.find(list => list.id === activeListId)
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-semibold text-gray-700">Lists</h2>
+        {archivedLists.length > 0 && (
+          <button
+            onClick={() => setShowArchived(prev => !prev)}
+            className="text-sm text-blue-600 hover:text-blue-800 underline"
+          >
+            {showArchived ? 'Hide archived' : `Show archived (${archivedLists.length})`}
+          </button>
+        )}
+      </div>
+
+      <div className="flex gap-2 flex-wrap mb-4">
+        {visibleLists.map(list => {
+          const listStats = stats[list.id] || { count: 0, needToBuy: 0, totals: {} }
+          const isActive = list.id === activeListId
+          return (
+            <button
+              key={list.id}
+              onClick={() => onSelect(list.id)}
+              className={`px-4 py-2 rounded-md border text-left transition-colors ${
+                isActive
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              } ${list.archived ? 'opacity-60' : ''}`}
+            >
+              <div className="font-semibold">
+                {list.name}
+                {list.archived && <span className="ml-1 text-xs">(archived)</span>}
+              </div>
+              <div className={`text-xs ${isActive ? 'text-blue-100' : 'text-gray-500'}`}>
+                {listStats.needToBuy}/{listStats.count} to buy · {formatTotals(listStats.totals)}
+              </div>
+            </button>
+          )
+        })}
+      </div>
+
+      {activeList && (
+        renamingId === activeList.id ? (
+          <form onSubmit={handleSaveRename} className="flex gap-2 mb-4">
+            <input
+              type="text"
+              value={renameValue}
+              onChange={(e) => setRenameValue(e.target.value)}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="List name"
+            />
+            <button
+              type="submit"
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setRenamingId(null)}
+              className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div className="flex gap-2 flex-wrap mb-4">
+            <button
+              onClick={() => handleStartRename(activeList)}
+              className="px-3 py-1 text-sm bg-yellow-500 text-white rounded-md hover:bg-yellow-600 transition-colors"
+            >
+              Rename
+            </button>
+            <button
+              onClick={() => onToggleArchive(activeList.id)}
+              className="px-3 py-1 text-sm bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors"
+            >
+              {activeList.archived ? 'Unarchive' : 'Archive'}
+            </button>
+            {lists.length > 1 && (
+              <button
+                onClick={() => handleDelete(activeList)}
+                className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+              >
+                Delete List
+              </button>
+            )}
+          </div>
+        )
+      )}
+
+      <form onSubmit={handleCreate} className="flex gap-2">
+        <input
+          type="text"
+          value={newListName}
+          onChange={(e) => setNewListName(e.target.value)}
+          placeholder="New list, e.g., Office Setup"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          aria-label="New list name"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Add List
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ListSwitcher
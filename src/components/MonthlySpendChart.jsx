@@ -0,0 +1,43 @@
+import { formatMoney } from '../utils/price'
+
+const WIDTH = 600
+const HEIGHT = 180
+const LABEL_HEIGHT = 20
+const TOP_PADDING = 16
+const BAR_GAP = 6
+
+// Short month name for a YYYY-MM key, with the year on January and the first column
+const monthLabel = (month, index) => {
+  const [year, monthNumber] = month.split('-').map(Number)
+  const name = new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'short' })
+  return index === 0 || monthNumber === 1 ? `${name} ${String(year).slice(2)}` : name
+}
+
+// Inline SVG column chart of spend per month, oldest on the left
+function MonthlySpendChart({ months, currency }) {
+  const max = Math.max(...months.map(month => month.amount), 1)
+  const columnWidth = WIDTH / months.length
+  const chartHeight = HEIGHT - LABEL_HEIGHT - TOP_PADDING
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Spend per month">
+      <line x1={0} x2={WIDTH} y1={HEIGHT - LABEL_HEIGHT} y2={HEIGHT - LABEL_HEIGHT} stroke="#d1d5db" strokeWidth="1" />
+      {months.map((month, index) => {
+        const barHeight = (month.amount / max) * chartHeight
+        const x = index * columnWidth + BAR_GAP / 2
+        const y = HEIGHT - LABEL_HEIGHT - barHeight
+        return (
+          <g key={month.label}>
+            <title>{`${month.label}: ${formatMoney(month.amount, currency)} (${month.count} ${month.count === 1 ? 'purchase' : 'purchases'})`}</title>
+            <rect x={x} y={y} width={columnWidth - BAR_GAP} height={barHeight} rx="2" fill="#2563eb" />
+            <text x={x + (columnWidth - BAR_GAP) / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="11" fill="#4b5563">
+              {monthLabel(month.label, index)}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+export default MonthlySpendChart
@@ -0,0 +1,143 @@
+import { useMemo, useState } from 'react'
+import { CURRENCIES, formatMoney, parsePrice } from '../utils/price'
+import { PRIORITIES } from '../utils/itemDetails'
+import { getQuantity, getQuantityRemaining, getRemainingTotal } from '../utils/quantity'
+import { PRIORITY_WEIGHTS, planPurchase } from '../utils/planner'
+
+// Suggest the Need to Buy items worth the most within a budget, as a cart to buy in one go
+function PlannerPanel({ items, baseCurrency, rates, onMarkBought }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [form, setForm] = useState({ amount: '', currency: baseCurrency })
+
+  const budget = parsePrice(form.amount, form.currency)
+  const budgetAmount = budget?.amount
+  const budgetCurrency = budget?.currency
+  // Only worked out while the panel is open and a budget is entered, and again only when its inputs change
+  const plan = useMemo(() => (
+    isOpen && budgetAmount !== undefined
+      ? planPurchase(items, budgetAmount, budgetCurrency, baseCurrency, rates)
+      : null
+  ), [isOpen, items, budgetAmount, budgetCurrency, baseCurrency, rates])
+  const leftOutCount = plan ? items.length - plan.items.length - plan.excluded.length : 0
+
+  // Update one field of the budget form
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Plan My Purchase</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Picks the items worth the most within your budget, counting{' '}
+            {PRIORITIES.map(([value, label]) => `${label} as ${PRIORITY_WEIGHTS[value]}`).join(', ')}.
+            Items with the same Buy Together group are planned all or none.
+          </p>
+          <div className="flex gap-2 items-center flex-wrap">
+            <input
+              type="text"
+              name="amount"
+              value={form.amount}
+              onChange={handleChange}
+              placeholder="Budget, e.g., 5000"
+              className="w-40 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Budget"
+            />
+            <select
+              name="currency"
+              value={form.currency}
+              onChange={handleChange}
+              className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label="Budget currency"
+            >
+              {CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.amount.trim() && !budget && (
+            <p className="text-sm text-red-600">Enter the budget as an amount, e.g., 5000.</p>
+          )}
+
+          {plan && (
+            <div className="space-y-3">
+              {plan.excluded.length > 0 && (
+                <p className="text-sm text-red-600">
+                  Leaves out {plan.excluded.map(item => `"${item.name}"`).join(', ')}: no exchange rate to {budget.currency}.
+                </p>
+              )}
+              {!plan.isExact && (
+                <p className="text-sm text-yellow-700">
+                  This list is too large to check every combination, so a better plan may exist.
+                </p>
+              )}
+
+              {plan.units.length === 0 ? (
+                <p className="text-gray-500">Nothing on this list fits within {formatMoney(budget.amount, budget.currency)}.</p>
+              ) : (
+                <>
+                  <ul className="divide-y divide-gray-100">
+                    {plan.units.map(unit => (
+                      <li key={unit.key} className="py-2">
+                        {unit.label && (
+                          <div className="text-xs font-semibold text-amber-800 uppercase mb-1">
+                            Buy together: {unit.label}
+                          </div>
+                        )}
+                        {unit.items.map(item => (
+                          <div key={item.id} className="flex justify-between gap-4 text-sm">
+                            <span className="text-gray-800">
+                              {item.name}
+                              {getQuantity(item) > 1 && <span className="text-gray-500"> × {getQuantityRemaining(item)}</span>}
+                            </span>
+                            <span className="text-gray-700">
+                              {formatMoney(getRemainingTotal(item), item.currency)}
+                            </span>
+                          </div>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="pt-2 border-t border-gray-200 flex flex-wrap justify-between items-center gap-2">
+                    <div className="text-gray-700">
+                      <span className="text-lg font-bold text-blue-600">
+                        Total: {formatMoney(plan.cost, budget.currency)}
+                      </span>
+                      <span className="ml-2 text-sm">
+                        {formatMoney(plan.leftover, budget.currency)} left · {plan.items.length} of {items.length} items
+                        {leftOutCount > 0 && ` · ${leftOutCount} don't fit`}
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => onMarkBought(plan.items.map(item => item.id))}
+                      className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+                    >
+                      Mark Plan as Bought
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PlannerPanel
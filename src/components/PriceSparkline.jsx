@@ -0,0 +1,28 @@
+const WIDTH = 120
+const HEIGHT = 28
+const PADDING = 2
+
+// Inline SVG line of an item's recorded prices, oldest on the left
+function PriceSparkline({ points, targetAmount }) {
+  const amounts = points.map(point => point.amount)
+  const values = targetAmount != null ? [...amounts, targetAmount] : amounts
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+
+  const x = (index) => PADDING + (index / (points.length - 1)) * (WIDTH - PADDING * 2)
+  const y = (amount) => HEIGHT - PADDING - ((amount - min) / range) * (HEIGHT - PADDING * 2)
+  const path = amounts.map((amount, index) => `${x(index)},${y(amount)}`).join(' ')
+
+  return (
+    <svg width={WIDTH} height={HEIGHT} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="inline-block align-middle" aria-hidden="true">
+      {targetAmount != null && (
+        <line x1={0} x2={WIDTH} y1={y(targetAmount)} y2={y(targetAmount)} stroke="#16a34a" strokeDasharray="3 2" strokeWidth="1" />
+      )}
+      <polyline points={path} fill="none" stroke="#2563eb" strokeWidth="1.5" strokeLinejoin="round" />
+      <circle cx={x(amounts.length - 1)} cy={y(amounts[amounts.length - 1])} r="2" fill="#2563eb" />
+    </svg>
+  )
+}
+
+export default PriceSparkline
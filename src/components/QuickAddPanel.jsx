@@ -0,0 +1,111 @@
+import { useEffect, useRef, useState } from 'react'
+import { buildBookmarklet, extractProductMetadata, fetchProductMetadata, looksLikeHTML } from '../utils/productMetadata'
+
+function QuickAddPanel({ onFill }) {
+  const [text, setText] = useState('')
+  const [isReading, setIsReading] = useState(false)
+  const [found, setFound] = useState(null)
+  const [message, setMessage] = useState('')
+  const bookmarkletRef = useRef(null)
+
+  // React refuses javascript: URLs in href, so set the bookmarklet on the element directly
+  useEffect(() => {
+    const appURL = window.location.origin + window.location.pathname
+    bookmarkletRef.current?.setAttribute('href', buildBookmarklet(appURL))
+  }, [])
+
+  // Describe what was found, naming what is still missing
+  const reportFound = (result) => {
+    setFound(result)
+    onFill(result)
+    const missing = ['name', 'price'].filter(field => !result[field])
+    setMessage(missing.length > 0
+      ? `Filled what was found; enter the ${missing.join(' and ')} by hand.`
+      : 'Filled the form. Check it and add the item.')
+  }
+
+  // Read the pasted link or page source and fill the form
+  const handleFill = async (e) => {
+    e.preventDefault()
+    const input = text.trim()
+    if (!input) return
+    setFound(null)
+
+    if (looksLikeHTML(input)) {
+      reportFound(extractProductMetadata(input))
+      setText('')
+      return
+    }
+
+    let url
+    try {
+      url = new URL(/^[a-z][a-z\d+.-]*:/i.test(input) ? input : `https://${input}`).href
+    } catch {
+      setMessage('Paste a product link or the page source.')
+      return
+    }
+
+    setIsReading(true)
+    try {
+      const result = await fetchProductMetadata(url)
+      reportFound({ ...result, link: result.link || url })
+      setText('')
+    } catch (error) {
+      console.error('Error reading product page:', error)
+      // Keep the link; the store just would not let us read the page
+      onFill({ link: url })
+      setMessage("Couldn't read that page from here, so only the link was filled. Use the bookmarklet on the product page, or paste its page source.")
+    } finally {
+      setIsReading(false)
+    }
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 rounded-md space-y-3">
+      <form onSubmit={handleFill} className="space-y-2">
+        <label htmlFor="quick-add" className="block text-sm font-medium text-gray-700">
+          Quick Add
+        </label>
+        <div className="flex gap-2">
+          <textarea
+            id="quick-add"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={1}
+            placeholder="Paste a product link or the page source"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={isReading || !text.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {isReading ? 'Reading…' : 'Fill Form'}
+          </button>
+        </div>
+      </form>
+      {message && (
+        <div className="flex items-center gap-3 text-sm text-gray-600" role="status">
+          {found?.image && (
+            <img src={found.image} alt="" className="w-12 h-12 object-contain rounded bg-white" />
+          )}
+          <p>{message}</p>
+        </div>
+      )}
+      <p className="text-sm text-gray-600">
+        Or drag{' '}
+        <a
+          ref={bookmarkletRef}
+          onClick={(e) => e.preventDefault()}
+          className="px-2 py-0.5 bg-white border border-gray-300 rounded text-blue-600 cursor-move"
+          title="Drag to your bookmarks bar"
+        >
+          Add to Things To Buy
+        </a>
+        {' '}to your bookmarks bar and click it on any product page.
+      </p>
+    </div>
+  )
+}
+
+export default QuickAddPanel
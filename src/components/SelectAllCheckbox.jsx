@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react'
+
+// Select or deselect every item of a section; shown half-checked when only some are selected
+function SelectAllCheckbox({ ids, selectedIds, onChange, label }) {
+  const inputRef = useRef(null)
+  const selectedCount = ids.filter(id => selectedIds.has(id)).length
+  const isAllSelected = ids.length > 0 && selectedCount === ids.length
+
+  // indeterminate can only be set from script
+  useEffect(() => {
+    inputRef.current.indeterminate = selectedCount > 0 && !isAllSelected
+  }, [selectedCount, isAllSelected])
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+      <input
+        ref={inputRef}
+        type="checkbox"
+        checked={isAllSelected}
+        onChange={() => onChange(ids, !isAllSelected)}
+        className="w-4 h-4"
+        aria-label={label}
+      />
+      Select all
+    </label>
+  )
+}
+
+export default SelectAllCheckbox
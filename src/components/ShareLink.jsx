@@ -0,0 +1,54 @@
+import { useState } from 'react'
+import { MAX_SHARE_URL_LENGTH } from '../utils/share'
+
+// Read-only link field with a Copy (or system Share) button
+function ShareLink({ url, title }) {
+  const [message, setMessage] = useState('')
+
+  // Copy the link, or hand it to the system share sheet when there is one
+  const handleCopy = async () => {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title, url })
+        return
+      }
+      await navigator.clipboard.writeText(url)
+      setMessage('Link copied.')
+    } catch (error) {
+      // Cancelling the share sheet also lands here
+      if (error.name !== 'AbortError') {
+        console.error('Error sharing link:', error)
+        setMessage('Could not copy the link. Select it and copy it by hand.')
+      }
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-600"
+          aria-label="Link"
+        />
+        <button
+          onClick={handleCopy}
+          className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+        >
+          {navigator.share ? 'Share' : 'Copy'}
+        </button>
+      </div>
+      {url.length > MAX_SHARE_URL_LENGTH && (
+        <p className="text-sm text-yellow-800">
+          This link is long and some apps may cut it off. Consider sending the file instead.
+        </p>
+      )}
+      {message && <p className="text-sm text-gray-700">{message}</p>}
+    </div>
+  )
+}
+
+export default ShareLink
@@ -0,0 +1,141 @@
+import { useState } from 'react'
+import { buildSharePayload, buildShareURL, encodeSharePayload, parseShareFile } from '../utils/share'
+import { downloadFile } from '../utils/download'
+import { formatMoney } from '../utils/price'
+import ShareLink from './ShareLink'
+
+function SharePanel({ list, items, surpriseMode, onChangeSurpriseMode, onOpenShared }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [scope, setScope] = useState('need')
+  const [selectedIds, setSelectedIds] = useState([])
+  const [shareURL, setShareURL] = useState('')
+
+  const scopedItems = {
+    all: items,
+    need: items.filter(item => !item.bought),
+    selected: items.filter(item => selectedIds.includes(item.id))
+  }[scope]
+
+  // Pick items to share one by one
+  const handleToggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id])
+    setShareURL('')
+  }
+
+  // Encode the chosen items into a link
+  const handleCreateLink = async () => {
+    setShareURL(buildShareURL(await encodeSharePayload(buildSharePayload(list, scopedItems))))
+  }
+
+  // Download the chosen items as a share file
+  const handleDownloadFile = () => {
+    const payload = buildSharePayload(list, scopedItems)
+    const slug = list.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list'
+    downloadFile(JSON.stringify(payload, null, 2), `${slug}-shared.json`, 'application/json')
+  }
+
+  // Open a shared list or reservation file someone sent us
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    onOpenShared(parseShareFile(await file.text()))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Share List</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Send a read-only copy of "{list.name}". Paid prices and price targets are not included.
+            People you share with can reserve gifts and send you a reservation link or file to open here.
+          </p>
+          <div className="flex gap-4 flex-wrap text-gray-700">
+            {[['need', 'Need to Buy items'], ['all', 'All items'], ['selected', 'Selected items']].map(([value, label]) => (
+              <label key={value} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="shareScope"
+                  value={value}
+                  checked={scope === value}
+                  onChange={() => {
+                    setScope(value)
+                    setShareURL('')
+                  }}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {scope === 'selected' && (
+            <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+              {items.map(item => (
+                <li key={item.id}>
+                  <label className="flex items-center gap-2 px-3 py-2 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(item.id)}
+                      onChange={() => handleToggleSelected(item.id)}
+                    />
+                    <span className="flex-1">{item.name}</span>
+                    <span className="text-sm text-gray-500">{formatMoney(item.amount, item.currency)}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={handleCreateLink}
+              disabled={scopedItems.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Create Link ({scopedItems.length})
+            </button>
+            <button
+              onClick={handleDownloadFile}
+              disabled={scopedItems.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Download File
+            </button>
+            <label className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 transition-colors cursor-pointer">
+              Open Shared or Reservation File
+              <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+            </label>
+          </div>
+
+          {shareURL && <ShareLink url={shareURL} title={list.name} />}
+
+          <label className="flex items-start gap-2 text-gray-700 pt-2 border-t border-gray-200">
+            <input
+              type="checkbox"
+              checked={surpriseMode}
+              onChange={(e) => onChangeSurpriseMode(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              Surprise mode
+              <span className="block text-sm text-gray-500">
+                Hide who reserved what. Reserved items are still marked so you don't buy them twice.
+              </span>
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SharePanel
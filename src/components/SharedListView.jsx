@@ -0,0 +1,190 @@
+import { useState } from 'react'
+import { calculateTotals } from '../utils/totals'
+import { formatTotals } from '../utils/price'
+import { buildClaimPayload, buildClaimURL, encodeSharePayload } from '../utils/share'
+import { downloadFile } from '../utils/download'
+import ItemCard from './ItemCard'
+import ShareLink from './ShareLink'
+
+function SharedListView({ shared, lists, activeListId, onImportNew, onMerge, onClose }) {
+  const [mergeListId, setMergeListId] = useState(activeListId)
+  const [claimedIds, setClaimedIds] = useState([])
+  const [claimName, setClaimName] = useState('')
+  const [claimURL, setClaimURL] = useState('')
+  const { data, errors } = shared
+
+  const claimedItems = data ? data.items.filter(item => claimedIds.includes(item.id)) : []
+
+  // Reserve an item, or take back a reservation made here
+  const handleToggleClaim = (id) => {
+    setClaimedIds(prev => prev.includes(id) ? prev.filter(claimedId => claimedId !== id) : [...prev, id])
+    setClaimURL('')
+  }
+
+  // Encode the reservations into a link for the list's owner
+  const handleCreateClaimLink = async () => {
+    setClaimURL(buildClaimURL(await encodeSharePayload(buildClaimPayload(data.list, claimedItems, claimName.trim()))))
+  }
+
+  // Download the reservations as a file for the list's owner
+  const handleDownloadClaim = () => {
+    const payload = buildClaimPayload(data.list, claimedItems, claimName.trim())
+    downloadFile(JSON.stringify(payload, null, 2), 'reservations.json', 'application/json')
+  }
+
+  // Shared cards only offer reserving items that are still free
+  const renderClaimAction = (item) => {
+    if (item.bought || item.reserved) return null
+    const isClaimed = claimedIds.includes(item.id)
+    return (
+      <button
+        onClick={() => handleToggleClaim(item.id)}
+        className={`px-4 py-2 rounded-md transition-colors ${isClaimed
+          ? 'bg-purple-100 text-purple-800 hover:bg-purple-200'
+          : 'bg-purple-600 text-white hover:bg-purple-700'}`}
+      >
+        {isClaimed ? 'Reserved by you (undo)' : "Reserve (I'll get this)"}
+      </button>
+    )
+  }
+
+  const needToBuyItems = data ? data.items.filter(item => !item.bought) : []
+  const boughtItems = data ? data.items.filter(item => item.bought) : []
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-4">
+        <div className="flex justify-between items-start gap-4">
+          <div>
+            <p className="text-sm text-gray-500">Shared list (read-only)</p>
+            <h2 className="text-2xl font-semibold text-gray-700">{data ? data.list.name : 'Shared list'}</h2>
+            {data?.sharedAt && (
+              <p className="text-sm text-gray-500">Shared on {new Date(data.sharedAt).toLocaleDateString()}</p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-400 text-white rounded-md hover:bg-gray-500 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="text-sm text-red-700">
+            <p className="font-semibold">{errors.length} problem{errors.length === 1 ? '' : 's'} found:</p>
+            <ul className="list-disc pl-5 max-h-40 overflow-y-auto">
+              {errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {data && (
+          <>
+            <p className="text-gray-700">
+              {data.items.length} items · {needToBuyItems.length} to buy
+              {needToBuyItems.length > 0 && ` · ${formatTotals(calculateTotals(data.items))}`}
+            </p>
+            <div className="flex gap-2 flex-wrap items-center">
+              <button
+                onClick={onImportNew}
+                disabled={data.items.length === 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                Import as New List
+              </button>
+              <select
+                value={mergeListId}
+                onChange={(e) => setMergeListId(lists.find(list => String(list.id) === e.target.value).id)}
+                className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="List to merge into"
+              >
+                {lists.map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => onMerge(mergeListId)}
+                disabled={data.items.length === 0}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                Merge into List
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {claimedItems.length > 0 && (
+        <div className="bg-purple-50 border border-purple-200 rounded-lg p-6 mb-8 space-y-3">
+          <h2 className="text-xl font-semibold text-purple-900">
+            Your reservations ({claimedItems.length})
+          </h2>
+          <p className="text-sm text-purple-900">
+            Send these back to the list's owner so nobody else buys the same gift.
+          </p>
+          <input
+            type="text"
+            value={claimName}
+            onChange={(e) => {
+              setClaimName(e.target.value)
+              setClaimURL('')
+            }}
+            placeholder="Your name"
+            className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500"
+            aria-label="Your name"
+          />
+          <div className="flex gap-2 flex-wrap">
+            <button
+              onClick={handleCreateClaimLink}
+              disabled={!claimName.trim()}
+              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+            >
+              Create Reservation Link
+            </button>
+            <button
+              onClick={handleDownloadClaim}
+              disabled={!claimName.trim()}
+              className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors disabled:opacity-50"
+            >
+              Download Reservation File
+            </button>
+          </div>
+          {claimURL && <ShareLink url={claimURL} title={`Reservations for ${data.list.name}`} />}
+        </div>
+      )}
+
+      {needToBuyItems.length > 0 && (
+        <div className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">
+            Need to Buy ({needToBuyItems.length})
+          </h2>
+          <div className="space-y-4">
+            {needToBuyItems.map(item => (
+              <ItemCard key={item.id} item={item} readOnly>
+                {renderClaimAction(item)}
+              </ItemCard>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {boughtItems.length > 0 && (
+        <div>
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">
+            Bought ({boughtItems.length})
+          </h2>
+          <div className="space-y-4">
+            {boughtItems.map(item => (
+              <ItemCard key={item.id} item={item} readOnly />
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default SharedListView
@@ -0,0 +1,86 @@
+import { useRef, useState } from 'react'
+
+// Items that can be put in order by dragging a handle (mouse, pen or touch) or with move up/down
+// renderItem(item, reorder) draws each item; reorder is null while reordering is off
+// onMove(items, id, toIndex) places an item at toIndex among the others
+function SortableItemList({ items, isEnabled, onMove, renderItem }) {
+  // { id, startY, offsetY, toIndex } while an item is being dragged
+  const [drag, setDrag] = useState(null)
+  const containerRef = useRef(null)
+
+  // Where the dragged item would drop: the number of other items whose middle is above the pointer
+  const getDropIndex = (id, clientY) => {
+    let toIndex = 0
+    Array.from(containerRef.current.children).forEach(child => {
+      if (child.dataset.itemId === undefined || child.dataset.itemId === String(id)) return
+      const rect = child.getBoundingClientRect()
+      if (clientY > rect.top + rect.height / 2) toIndex++
+    })
+    return toIndex
+  }
+
+  // Pointer handlers for an item's drag handle; the handle captures the pointer until it is let go
+  const getHandleProps = (item, index) => ({
+    onPointerDown: (e) => {
+      if (e.button !== 0) return
+      e.preventDefault()
+      e.currentTarget.setPointerCapture(e.pointerId)
+      setDrag({ id: item.id, startY: e.clientY, offsetY: 0, toIndex: index })
+    },
+    onPointerMove: (e) => {
+      if (drag?.id !== item.id) return
+      const toIndex = getDropIndex(item.id, e.clientY)
+      setDrag(prev => ({ ...prev, offsetY: e.clientY - prev.startY, toIndex }))
+    },
+    onPointerUp: () => {
+      if (drag?.id !== item.id) return
+      if (drag.toIndex !== index) onMove(items, item.id, drag.toIndex)
+      setDrag(null)
+    },
+    onPointerCancel: () => setDrag(null),
+    // Arrow keys on the focused handle move the item one place
+    onKeyDown: (e) => {
+      if (e.key === 'ArrowUp' && index > 0) {
+        e.preventDefault()
+        onMove(items, item.id, index - 1)
+      } else if (e.key === 'ArrowDown' && index < items.length - 1) {
+        e.preventDefault()
+        onMove(items, item.id, index + 1)
+      }
+    }
+  })
+
+  // The drop position is marked by a line in the gap before (or after) one of the other items
+  const isMoving = drag && drag.toIndex !== items.findIndex(item => item.id === drag.id)
+  const others = isMoving ? items.filter(item => item.id !== drag.id) : []
+  const markerBefore = isMoving && drag.toIndex < others.length ? others[drag.toIndex].id : null
+  const markerAfter = isMoving && drag.toIndex === others.length ? others[others.length - 1].id : null
+
+  return (
+    <div ref={containerRef} className="space-y-4">
+      {items.map((item, index) => {
+        const isDragged = drag?.id === item.id
+        const reorder = isEnabled && {
+          handleProps: getHandleProps(item, index),
+          isDragging: isDragged,
+          onMoveUp: index > 0 ? () => onMove(items, item.id, index - 1) : null,
+          onMoveDown: index < items.length - 1 ? () => onMove(items, item.id, index + 1) : null
+        }
+        return (
+          <div
+            key={item.id}
+            data-item-id={item.id}
+            className={`relative ${isDragged ? 'z-10 opacity-80' : ''}`}
+            style={isDragged ? { transform: `translateY(${drag.offsetY}px)` } : undefined}
+          >
+            {markerBefore === item.id && <div className="absolute -top-3 left-0 right-0 h-1 bg-blue-500 rounded" />}
+            {renderItem(item, reorder || null)}
+            {markerAfter === item.id && <div className="absolute -bottom-3 left-0 right-0 h-1 bg-blue-500 rounded" />}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default SortableItemList
@@ -0,0 +1,42 @@
+import { formatMoney } from '../utils/price'
+
+const WIDTH = 600
+const ROW_HEIGHT = 26
+const LABEL_WIDTH = 160
+const VALUE_WIDTH = 110
+const MAX_LABEL_LENGTH = 22
+
+// Inline SVG bar chart of spend per group (category or store), largest first
+function SpendBreakdownChart({ groups, currency, label }) {
+  const max = Math.max(...groups.map(group => group.amount), 1)
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH
+  const height = groups.length * ROW_HEIGHT
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-label={label}>
+      {groups.map((group, index) => {
+        const y = index * ROW_HEIGHT
+        const name = group.label.length > MAX_LABEL_LENGTH ? `${group.label.slice(0, MAX_LABEL_LENGTH - 1)}…` : group.label
+        return (
+          <g key={group.label}>
+            <title>{`${group.label}: ${formatMoney(group.amount, currency)} (${group.count} ${group.count === 1 ? 'purchase' : 'purchases'})`}</title>
+            <text x={0} y={y + ROW_HEIGHT / 2 + 4} fontSize="12" fill="#374151">{name}</text>
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 5}
+              width={Math.max((group.amount / max) * barSpace, 1)}
+              height={ROW_HEIGHT - 10}
+              rx="2"
+              fill="#16a34a"
+            />
+            <text x={WIDTH} y={y + ROW_HEIGHT / 2 + 4} textAnchor="end" fontSize="12" fill="#374151">
+              {formatMoney(group.amount, currency)}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+export default SpendBreakdownChart
@@ -0,0 +1,71 @@
+import { useState } from 'react'
+import { formatMoney, formatTotals } from '../utils/price'
+import { calculateTotals } from '../utils/totals'
+import { openLinks } from '../utils/vendors'
+
+// Heading for one store in the by-store view: subtotal, free-shipping progress and open-all
+function StoreGroupHeader({ label, items, shipping }) {
+  const [blockedCount, setBlockedCount] = useState(0)
+  const links = [...new Set(items.map(item => item.link).filter(Boolean))]
+
+  // Open every product link of this store in its own tab
+  const handleOpenAll = () => {
+    setBlockedCount(openLinks(links))
+  }
+
+  return (
+    <div className="mb-2 space-y-1">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <h3 className="text-lg font-semibold text-gray-600">
+          {label} ({items.length}) · {formatTotals(calculateTotals(items))}
+        </h3>
+        {shipping && (
+          shipping.qualifies ? (
+            <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded">
+              FREE SHIPPING
+            </span>
+          ) : (
+            <span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded">
+              {formatMoney(shipping.shortBy, shipping.threshold.currency)} more for free shipping
+            </span>
+          )
+        )}
+        {links.length > 0 && (
+          <button
+            onClick={handleOpenAll}
+            className="ml-auto px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            Open All ({links.length})
+          </button>
+        )}
+      </div>
+      {shipping && (
+        <div
+          className="h-1.5 bg-gray-200 rounded-full overflow-hidden"
+          role="progressbar"
+          aria-label={`${label} free shipping progress`}
+          aria-valuemin={0}
+          aria-valuemax={shipping.threshold.amount}
+          aria-valuenow={Math.min(shipping.subtotal, shipping.threshold.amount)}
+        >
+          <div
+            className={`h-full ${shipping.qualifies ? 'bg-green-500' : 'bg-yellow-400'}`}
+            style={{ width: `${shipping.threshold.amount > 0 ? Math.min(shipping.subtotal / shipping.threshold.amount, 1) * 100 : 100}%` }}
+          />
+        </div>
+      )}
+      {shipping?.missing.length > 0 && (
+        <p className="text-sm text-red-600">
+          Excludes {shipping.missing.join(', ')} prices: no exchange rate
+        </p>
+      )}
+      {blockedCount > 0 && (
+        <p className="text-sm text-red-600" role="alert">
+          The browser blocked {blockedCount} {blockedCount === 1 ? 'tab' : 'tabs'}. Allow pop-ups for this site to open them all at once.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default StoreGroupHeader
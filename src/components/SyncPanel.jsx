@@ -0,0 +1,108 @@
+import { useState } from 'react'
+
+function SyncPanel({ settings, status, onSaveSettings, onSync }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [formData, setFormData] = useState(settings)
+
+  // Update one field of the connection form
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  // Save the server address and token
+  const handleSave = (e) => {
+    e.preventDefault()
+    const url = formData.url.trim()
+    if (url !== settings.url && settings.url && !window.confirm('Switch sync servers? Everything on this device will be sent to the new server.')) {
+      return
+    }
+    onSaveSettings({ url, token: formData.token.trim() })
+  }
+
+  const isDirty = formData.url.trim() !== settings.url || formData.token.trim() !== settings.token
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Sync Devices</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-600">
+            Keep lists and items in step across devices through your own sync server
+            (<code>npm run sync-server</code>). Point every device at the same server and sync on each.
+          </p>
+          <form onSubmit={handleSave} className="space-y-3">
+            <div>
+              <label htmlFor="sync-url" className="block text-sm font-medium text-gray-700 mb-1">
+                Server URL
+              </label>
+              <input
+                type="url"
+                id="sync-url"
+                name="url"
+                value={formData.url}
+                onChange={handleChange}
+                placeholder="http://192.168.1.10:8787"
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label htmlFor="sync-token" className="block text-sm font-medium text-gray-700 mb-1">
+                Access Token
+              </label>
+              <input
+                type="password"
+                id="sync-token"
+                name="token"
+                value={formData.token}
+                onChange={handleChange}
+                placeholder="Optional, must match SYNC_TOKEN on the server"
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={!isDirty}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={onSync}
+                disabled={!settings.url || isDirty || status.isSyncing}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+              >
+                {status.isSyncing ? 'Syncing…' : 'Sync Now'}
+              </button>
+            </div>
+          </form>
+
+          {status.lastSyncedAt && (
+            <p className="text-sm text-gray-600">
+              Last synced {new Date(status.lastSyncedAt).toLocaleString()}
+              {status.message && ` · ${status.message}`}
+            </p>
+          )}
+          {status.error && (
+            <p className="text-sm text-red-700" role="alert">Sync failed: {status.error}</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SyncPanel
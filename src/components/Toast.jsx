@@ -0,0 +1,36 @@
+import { useEffect } from 'react'
+
+function Toast({ message, actionLabel, onAction, onDismiss, duration = 6000 }) {
+  // Hide automatically after a few seconds
+  useEffect(() => {
+    const timeoutId = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timeoutId)
+  }, [message, onDismiss, duration])
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-800 text-white px-4 py-3 rounded-lg shadow-lg"
+      role="status"
+      aria-live="polite"
+    >
+      <span>{message}</span>
+      {actionLabel && (
+        <button
+          onClick={onAction}
+          className="font-semibold text-blue-300 hover:text-blue-200 underline"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
+
+export default Toast
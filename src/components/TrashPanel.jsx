@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { formatMoney } from '../utils/price'
+
+function TrashPanel({ trash, retentionDays, onRestore, onDeleteForever, onEmpty, onChangeRetention }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  const sortedTrash = [...trash].sort((a, b) => b.deletedAt - a.deletedAt)
+
+  // Empty the trash after confirming
+  const handleEmpty = () => {
+    if (window.confirm(`Permanently delete ${trash.length} item${trash.length === 1 ? '' : 's'}?`)) {
+      onEmpty()
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Trash ({trash.length})</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <div className="flex items-center gap-2 text-gray-700">
+            <label htmlFor="trashRetention">Delete items in the trash after</label>
+            <input
+              id="trashRetention"
+              type="number"
+              min="1"
+              value={retentionDays}
+              onChange={(e) => {
+                const days = parseInt(e.target.value, 10)
+                if (days > 0) onChangeRetention(days)
+              }}
+              className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            />
+            <span>days</span>
+          </div>
+
+          {sortedTrash.length === 0 ? (
+            <p className="text-gray-500">The trash is empty.</p>
+          ) : (
+            <>
+              <ul className="space-y-2">
+                {sortedTrash.map(trashItem => (
+                  <li key={trashItem.id} className="flex justify-between items-center gap-2 flex-wrap">
+                    <span className="text-gray-700">
+                      <span className="font-semibold">{trashItem.name}</span>
+                      <span className="ml-2">{formatMoney(trashItem.amount, trashItem.currency)}</span>
+                      <span className="ml-2 text-sm text-gray-500">
+                        deleted {new Date(trashItem.deletedAt).toLocaleDateString()}
+                      </span>
+                    </span>
+                    <span className="flex gap-2">
+                      <button
+                        onClick={() => onRestore(trashItem.id)}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                      >
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => onDeleteForever(trashItem.id)}
+                        className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                      >
+                        Delete Forever
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={handleEmpty}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+              >
+                Empty Trash
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrashPanel
@@ -0,0 +1,29 @@
+function UpdatePrompt({ message = 'A new version is available.', onReload, onDismiss }) {
+  return (
+    <div
+      className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-blue-700 text-white px-4 py-3 rounded-lg shadow-lg"
+      role="alert"
+    >
+      <span>{message}</span>
+      {onReload && (
+        <button
+          onClick={onReload}
+          className="px-3 py-1 bg-white text-blue-700 font-semibold rounded-md hover:bg-blue-50 transition-colors"
+        >
+          Reload
+        </button>
+      )}
+      {onDismiss && (
+        <button
+          onClick={onDismiss}
+          className="text-blue-200 hover:text-white"
+          aria-label="Later"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default UpdatePrompt
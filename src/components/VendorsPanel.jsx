@@ -0,0 +1,201 @@
+import { useState } from 'react'
+import { CURRENCIES, formatMoney, parsePrice } from '../utils/price'
+import { normalizeAliasDomain } from '../utils/vendors'
+
+function VendorsPanel({ aliases, thresholds, vendors, unaliasedDomains, baseCurrency, onSaveAliases, onSaveThresholds }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [aliasForm, setAliasForm] = useState({ domain: '', name: '' })
+  const [thresholdForm, setThresholdForm] = useState({ vendor: '', amount: '', currency: baseCurrency })
+
+  // Update one field of the alias form
+  const handleAliasChange = (e) => {
+    const { name, value } = e.target
+    setAliasForm(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  // Update one field of the threshold form
+  const handleThresholdChange = (e) => {
+    const { name, value } = e.target
+    setThresholdForm(prev => ({
+      ...prev,
+      [name]: value
+    }))
+  }
+
+  // Add an alias, replacing any existing one for the same domain
+  const handleAddAlias = (e) => {
+    e.preventDefault()
+    const domain = normalizeAliasDomain(aliasForm.domain)
+    const name = aliasForm.name.trim()
+    if (!domain || !name) return
+    onSaveAliases([...aliases.filter(alias => alias.domain !== domain), { domain, name }])
+    setAliasForm({ domain: '', name: '' })
+  }
+
+  // Set a store's free-shipping threshold, replacing any existing one
+  const handleAddThreshold = (e) => {
+    e.preventDefault()
+    const price = parsePrice(thresholdForm.amount, thresholdForm.currency)
+    const vendor = thresholdForm.vendor.trim()
+    if (!vendor || !price) return
+    onSaveThresholds([
+      ...thresholds.filter(threshold => threshold.vendor !== vendor),
+      { vendor, amount: price.amount, currency: price.currency }
+    ])
+    setThresholdForm(prev => ({ ...prev, vendor: '', amount: '' }))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="w-full flex justify-between items-center text-left"
+        aria-expanded={isOpen}
+      >
+        <h2 className="text-2xl font-semibold text-gray-700">Stores</h2>
+        <span className="text-gray-500">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-6">
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-700">Store Names</h3>
+            <p className="text-sm text-gray-600">
+              Links are grouped by their shop's domain. Give domains a store name to group them together,
+              e.g. both amzn.in and amazon.in as Amazon.
+            </p>
+            {aliases.length > 0 && (
+              <ul className="space-y-2">
+                {[...aliases].sort((a, b) => a.name.localeCompare(b.name) || a.domain.localeCompare(b.domain)).map(alias => (
+                  <li key={alias.domain} className="flex justify-between items-center gap-2">
+                    <span className="text-gray-700">
+                      {alias.domain} → <span className="font-semibold">{alias.name}</span>
+                    </span>
+                    <button
+                      onClick={() => onSaveAliases(aliases.filter(other => other.domain !== alias.domain))}
+                      className="px-2 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleAddAlias} className="flex gap-2 items-center flex-wrap">
+              <input
+                type="text"
+                name="domain"
+                value={aliasForm.domain}
+                onChange={handleAliasChange}
+                list="vendor-domains"
+                placeholder="Domain, e.g., amzn.in"
+                className="w-48 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Domain"
+                required
+              />
+              <datalist id="vendor-domains">
+                {unaliasedDomains.map(domain => (
+                  <option key={domain} value={domain} />
+                ))}
+              </datalist>
+              <input
+                type="text"
+                name="name"
+                value={aliasForm.name}
+                onChange={handleAliasChange}
+                list="vendor-names"
+                placeholder="Store name, e.g., Amazon"
+                className="w-48 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Store name"
+                required
+              />
+              <datalist id="vendor-names">
+                {vendors.map(vendor => (
+                  <option key={vendor} value={vendor} />
+                ))}
+              </datalist>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Add Name
+              </button>
+            </form>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-700">Free Shipping</h3>
+            <p className="text-sm text-gray-600">
+              Grouping Need to Buy by store shows how close each store's order is to free shipping.
+            </p>
+            {thresholds.length > 0 && (
+              <ul className="space-y-2">
+                {thresholds.map(threshold => (
+                  <li key={threshold.vendor} className="flex justify-between items-center gap-2">
+                    <span className="font-semibold text-gray-700">{threshold.vendor}</span>
+                    <span className="flex items-center gap-2">
+                      from {formatMoney(threshold.amount, threshold.currency)}
+                      <button
+                        onClick={() => onSaveThresholds(thresholds.filter(other => other.vendor !== threshold.vendor))}
+                        className="px-2 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+                      >
+                        Remove
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <form onSubmit={handleAddThreshold} className="flex gap-2 items-center flex-wrap">
+              <select
+                name="vendor"
+                value={thresholdForm.vendor}
+                onChange={handleThresholdChange}
+                className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Store"
+                required
+              >
+                <option value="">Choose a store</option>
+                {vendors.map(vendor => (
+                  <option key={vendor} value={vendor}>{vendor}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                name="amount"
+                value={thresholdForm.amount}
+                onChange={handleThresholdChange}
+                placeholder="e.g., 499"
+                className="w-32 px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Free shipping from"
+                required
+              />
+              <select
+                name="currency"
+                value={thresholdForm.currency}
+                onChange={handleThresholdChange}
+                className="px-2 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                aria-label="Threshold currency"
+              >
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Set Threshold
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VendorsPanel
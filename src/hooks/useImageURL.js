@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react'
+import { getImage } from '../utils/indexedDB'
+
+// Object URL for a stored image ('thumbnail' or 'full'), or null while loading or when it is missing
+export const useImageURL = (imageId, variant = 'thumbnail') => {
+  const [image, setImage] = useState({ imageId: null, variant: null, url: null })
+
+  useEffect(() => {
+    if (!imageId) return
+    let url = null
+    let isCancelled = false
+    getImage(imageId).then(record => {
+      if (isCancelled || !record?.[variant]) return
+      url = URL.createObjectURL(record[variant])
+      setImage({ imageId, variant, url })
+    })
+    return () => {
+      isCancelled = true
+      if (url) URL.revokeObjectURL(url)
+    }
+  }, [imageId, variant])
+
+  // Ignore a URL left over from the previous image until the new one loads
+  return image.imageId === imageId && image.variant === variant ? image.url : null
+}
@@ -0,0 +1,47 @@
+import { useCallback, useRef, useState } from 'react'
+
+// Item ids selected for batch actions, with shift-click range selection
+export const useItemSelection = () => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  // The item last clicked, where a shift-click range starts
+  const anchorRef = useRef(null)
+
+  // Toggle one item; with isRange, give every item between the anchor and this one its new state
+  // orderedIds is the section as shown, so a range follows what the user sees
+  const toggle = useCallback((id, orderedIds, isRange) => {
+    const anchorIndex = orderedIds.indexOf(anchorRef.current)
+    const index = orderedIds.indexOf(id)
+    const rangeIds = isRange && anchorIndex !== -1 && index !== -1
+      ? orderedIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+      : [id]
+    anchorRef.current = id
+    setSelectedIds(prev => {
+      const isSelecting = !prev.has(id)
+      const next = new Set(prev)
+      rangeIds.forEach(rangeId => isSelecting ? next.add(rangeId) : next.delete(rangeId))
+      return next
+    })
+  }, [])
+
+  // Select or deselect several items at once, e.g. a whole section
+  const setSelected = useCallback((ids, isSelected) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      ids.forEach(id => isSelected ? next.add(id) : next.delete(id))
+      return next
+    })
+  }, [])
+
+  // Deselect everything
+  const clear = useCallback(() => {
+    anchorRef.current = null
+    setSelectedIds(new Set())
+  }, [])
+
+  return {
+    selectedIds,
+    toggle,
+    setSelected,
+    clear
+  }
+}
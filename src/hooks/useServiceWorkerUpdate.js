@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useState } from 'react'
+import { applyServiceWorkerUpdate, registerServiceWorker } from '../utils/serviceWorker'
+
+// Register the service worker and report when a new version is ready
+export const useServiceWorkerUpdate = () => {
+  const [waitingRegistration, setWaitingRegistration] = useState(null)
+
+  useEffect(() => {
+    registerServiceWorker(setWaitingRegistration)
+  }, [])
+
+  // Switch to the new version
+  const reload = useCallback(() => {
+    if (waitingRegistration) {
+      applyServiceWorkerUpdate(waitingRegistration)
+    }
+  }, [waitingRegistration])
+
+  // Keep the current version until the next visit
+  const dismiss = useCallback(() => setWaitingRegistration(null), [])
+
+  return { updateAvailable: waitingRegistration !== null, reload, dismiss }
+}
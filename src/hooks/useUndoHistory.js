@@ -0,0 +1,44 @@
+import { useCallback, useState } from 'react'
+
+// Undo/redo stacks of { label, undo, redo } entries
+export const useUndoHistory = (limit = 100) => {
+  const [history, setHistory] = useState({ past: [], future: [] })
+
+  // Record a change that has already been applied
+  const record = useCallback((entry) => {
+    setHistory(prev => ({ past: [...prev.past, entry].slice(-limit), future: [] }))
+  }, [limit])
+
+  // Revert the most recent change
+  const undo = useCallback(() => {
+    const entry = history.past[history.past.length - 1]
+    if (!entry) return null
+    entry.undo()
+    setHistory({ past: history.past.slice(0, -1), future: [entry, ...history.future] })
+    return entry
+  }, [history])
+
+  // Re-apply the most recently undone change
+  const redo = useCallback(() => {
+    const entry = history.future[0]
+    if (!entry) return null
+    entry.redo()
+    setHistory({ past: [...history.past, entry], future: history.future.slice(1) })
+    return entry
+  }, [history])
+
+  // Forget everything, e.g. after the data was replaced wholesale
+  const clear = useCallback(() => {
+    setHistory({ past: [], future: [] })
+  }, [])
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    entries: [...history.past, ...history.future],
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  }
+}
@@ -0,0 +1,51 @@
+// Service worker: precache the built app and serve it offline
+// Built by the precache plugin in vite.config.js, which prepends self.__PRECACHE_MANIFEST = { version, urls }
+
+const { version, urls } = self.__PRECACHE_MANIFEST
+const CACHE_PREFIX = 'things-to-buy-'
+const CACHE_NAME = `${CACHE_PREFIX}${version}`
+const APP_SHELL = new URL('index.html', self.registration.scope).href
+
+// Cache every built asset before this version can take over
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(urls))
+  )
+})
+
+// Drop caches left by older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// The page asks a waiting worker to take over once the user chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+// Serve precached files from the cache, and the app shell for every page navigation
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(APP_SHELL, { cacheName: CACHE_NAME })
+        .then(cached => cached || fetch(request))
+    )
+    return
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+      .then(cached => cached || fetch(request))
+  )
+})
@@ -0,0 +1,110 @@
+// Spending analytics over bought items, with every amount converted to the base currency
+// Item ids are the time the item was added (see the "Date added" sort), so time to buy is boughtAt - id
+// A partly bought item counts once, at its latest purchase date; a recurring item counts each time it was bought
+
+import { convertAmount, indexRates } from './exchangeRates'
+import { UNCATEGORIZED } from './itemDetails'
+import { monthKey } from './budgets'
+import { getPurchases } from './quantity'
+import { getVendor } from './vendors'
+import { toCSV } from './csv'
+import { toMajor, getMinorDigits } from './price'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+export const ANALYTICS_MONTHS = 12
+const LARGEST_PURCHASES = 10
+
+// The last `count` calendar months as YYYY-MM, oldest first
+const recentMonths = (count, now) => {
+  const date = new Date(now)
+  return Array.from({ length: count }, (_, index) => (
+    monthKey(new Date(date.getFullYear(), date.getMonth() - (count - 1 - index), 1).getTime())
+  ))
+}
+
+// Add a purchase to a { label → { label, amount, count } } map
+const addTo = (groups, label, amount) => {
+  if (!groups.has(label)) groups.set(label, { label, amount: 0, count: 0 })
+  const group = groups.get(label)
+  group.amount += amount
+  group.count += 1
+}
+
+// Sorted largest first
+const byAmount = (groups) => [...groups.values()].sort((a, b) => b.amount - a.amount || a.label.localeCompare(b.label))
+
+// Work out spend per month, category and store, time to buy and the largest purchases
+// Purchases in a currency without an exchange rate are left out and their currencies reported in `missing`
+export const buildSpendingAnalytics = (items, { baseCurrency, rates, vendorAliases = [], now = Date.now() }) => {
+  const rateMap = indexRates(rates)
+  const missing = []
+
+  const purchases = items
+    .flatMap(item => getPurchases(item)
+      .filter(purchase => purchase.boughtAt)
+      .map((purchase, index) => {
+        const amount = convertAmount(purchase.spent, item.currency, baseCurrency, baseCurrency, rateMap)
+        if (amount === null && !missing.includes(item.currency)) missing.push(item.currency)
+        // Only the first purchase tells how long the item waited on the list
+        return { item, ...purchase, amount, isFirst: index === 0 }
+      }))
+    .filter(purchase => purchase.amount !== null)
+
+  const months = new Map(recentMonths(ANALYTICS_MONTHS, now).map(month => [month, { label: month, amount: 0, count: 0 }]))
+  const categories = new Map()
+  const stores = new Map()
+  const daysToBuy = []
+
+  purchases.forEach(({ item, amount, boughtAt, isFirst }) => {
+    const month = monthKey(boughtAt)
+    if (months.has(month)) addTo(months, month, amount)
+    addTo(categories, item.category || UNCATEGORIZED, amount)
+    addTo(stores, getVendor(item.link, vendorAliases) || 'Unknown store', amount)
+    if (isFirst && typeof item.id === 'number' && boughtAt >= item.id) {
+      daysToBuy.push((boughtAt - item.id) / DAY_MS)
+    }
+  })
+
+  const largest = [...purchases]
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, LARGEST_PURCHASES)
+    .map(({ item, spent, amount, quantity, boughtAt }) => ({
+      id: item.id,
+      name: item.name,
+      amount,
+      spent,
+      currency: item.currency,
+      quantity,
+      boughtAt
+    }))
+
+  return {
+    currency: baseCurrency,
+    totalSpent: purchases.reduce((total, purchase) => total + purchase.amount, 0),
+    purchaseCount: purchases.length,
+    monthly: [...months.values()],
+    byCategory: byAmount(categories),
+    byStore: byAmount(stores),
+    averageDaysToBuy: daysToBuy.length > 0 ? daysToBuy.reduce((total, days) => total + days, 0) / daysToBuy.length : null,
+    timedPurchaseCount: daysToBuy.length,
+    largest,
+    missing
+  }
+}
+
+// Flatten the aggregates into CSV rows: section, label, amount, count
+export const analyticsToCSV = (analytics) => {
+  const decimal = (amount) => toMajor(amount, analytics.currency).toFixed(getMinorDigits(analytics.currency))
+  const rows = [
+    ['section', 'label', `amount (${analytics.currency})`, 'count'],
+    ['total', 'spent', decimal(analytics.totalSpent), analytics.purchaseCount],
+    ...analytics.monthly.map(month => ['month', month.label, decimal(month.amount), month.count]),
+    ...analytics.byCategory.map(category => ['category', category.label, decimal(category.amount), category.count]),
+    ...analytics.byStore.map(store => ['store', store.label, decimal(store.amount), store.count]),
+    ...analytics.largest.map(purchase => ['largest', purchase.name, decimal(purchase.amount), purchase.quantity])
+  ]
+  if (analytics.averageDaysToBuy !== null) {
+    rows.push(['average days to buy', '', analytics.averageDaysToBuy.toFixed(1), analytics.timedPurchaseCount])
+  }
+  return toCSV(rows)
+}
@@ -0,0 +1,303 @@
+// Export and import of the whole wishlist database
+// JSON backups carry every store; CSV carries items only
+
+import { parseCSV, toCSV } from './csv'
+import { isValidCurrency, parsePrice, toMajor, getMinorDigits } from './price'
+import { DEFAULT_LIST_ID } from './indexedDB'
+import { PRIORITIES, DEFAULT_PRIORITY } from './itemDetails'
+import { normalizeLink } from './links'
+import { SYNC_SETTING_KEYS } from './syncEngine'
+import { formatVariants, getQuantity, getQuantityBought, isValidVariants, parseQuantity, parseVariants } from './quantity'
+
+export const BACKUP_FORMAT = 'things-to-buy-backup'
+export const BACKUP_VERSION = 1
+
+const CSV_COLUMNS = [
+  'id', 'listId', 'list', 'name', 'link', 'amount', 'currency', 'bought', 'boughtAt', 'paidAmount',
+  'priority', 'category', 'tags', 'notes', 'targetAmount', 'quantity', 'quantityBought', 'variants', 'buyTogether', 'rank',
+  'repeat', 'repeatDays'
+]
+
+// Build the versioned JSON backup document
+export const buildBackup = ({ items, lists, rates, budgets, settings, priceHistory }) => {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    items,
+    lists,
+    rates,
+    budgets,
+    settings: settings.filter(setting => !SYNC_SETTING_KEYS.includes(setting.key)),
+    priceHistory
+  }
+}
+
+// Format a minor-unit amount as a plain decimal for CSV cells
+const formatDecimal = (amount, currency) => {
+  return toMajor(amount, currency).toFixed(getMinorDigits(currency))
+}
+
+// Serialize items as CSV, one row per item
+export const itemsToCSV = (items, lists) => {
+  const listNames = Object.fromEntries(lists.map(list => [list.id, list.name]))
+  const rows = items.map(item => [
+    item.id,
+    item.listId,
+    listNames[item.listId] || '',
+    item.name,
+    item.link,
+    formatDecimal(item.amount, item.currency),
+    item.currency,
+    item.bought ? 'true' : 'false',
+    item.boughtAt ? new Date(item.boughtAt).toISOString() : '',
+    item.paidAmount != null ? formatDecimal(item.paidAmount, item.currency) : '',
+    item.priority || DEFAULT_PRIORITY,
+    item.category || '',
+    (item.tags || []).join('; '),
+    item.notes || '',
+    item.targetAmount != null ? formatDecimal(item.targetAmount, item.currency) : '',
+    getQuantity(item),
+    getQuantityBought(item),
+    formatVariants(item.variants),
+    item.buyTogether || '',
+    item.rank ?? '',
+    item.repeat || '',
+    item.repeatDays ?? ''
+  ])
+  return toCSV([CSV_COLUMNS, ...rows])
+}
+
+// Earlier purchases of a recurring item, as kept by restockItem
+const isValidPurchases = (purchases) => {
+  return Array.isArray(purchases) && purchases.every(purchase => (
+    purchase && Number.isFinite(purchase.boughtAt) &&
+    Number.isInteger(purchase.quantity) && purchase.quantity >= 0 &&
+    Number.isInteger(purchase.paidAmount) && purchase.paidAmount >= 0
+  ))
+}
+
+// Check one item record, returning a list of problems
+export const validateItem = (item) => {
+  const errors = []
+  if (item.id === undefined || item.id === null || item.id === '') errors.push('missing id')
+  if (typeof item.name !== 'string' || !item.name.trim()) errors.push('missing name')
+  if (typeof item.link !== 'string' || !item.link.trim()) {
+    errors.push('missing link')
+  } else if (!normalizeLink(item.link)) {
+    errors.push('link must be a web address (http or https)')
+  }
+  if (!Number.isInteger(item.amount) || item.amount < 0) errors.push('amount must be a non-negative whole number of minor units')
+  if (!isValidCurrency(item.currency)) errors.push(`unknown currency "${item.currency}"`)
+  if (typeof item.bought !== 'boolean') errors.push('bought must be true or false')
+  if (item.listId === undefined || item.listId === null) errors.push('missing listId')
+  if (item.priority !== undefined && !PRIORITIES.some(([value]) => value === item.priority)) {
+    errors.push(`unknown priority "${item.priority}"`)
+  }
+  if (item.targetAmount != null && !(Number.isInteger(item.targetAmount) && item.targetAmount >= 0)) {
+    errors.push('targetAmount must be a non-negative whole number of minor units')
+  }
+  if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+    errors.push('quantity must be a whole number of at least 1')
+  }
+  if (item.quantityBought !== undefined && !(Number.isInteger(item.quantityBought) && item.quantityBought >= 0 && item.quantityBought <= getQuantity(item))) {
+    errors.push('quantityBought must be a whole number no larger than quantity')
+  }
+  if (item.variants !== undefined && !isValidVariants(item.variants)) {
+    errors.push('variants must be a list of { name, value } pairs')
+  }
+  if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('tags must be a list of strings')
+  }
+  if (item.buyTogether !== undefined && typeof item.buyTogether !== 'string') {
+    errors.push('buyTogether must be a group name')
+  }
+  if (item.rank != null && !Number.isFinite(item.rank)) {
+    errors.push('rank must be a number')
+  }
+  if (item.repeat != null && !['fixed', 'learned'].includes(item.repeat)) {
+    errors.push(`unknown repeat "${item.repeat}"`)
+  }
+  if (item.repeatDays != null && !(Number.isInteger(item.repeatDays) && item.repeatDays > 0)) {
+    errors.push('repeatDays must be a whole number of at least 1')
+  }
+  if (item.pastPurchases !== undefined && !isValidPurchases(item.pastPurchases)) {
+    errors.push('pastPurchases must be a list of { boughtAt, quantity, paidAmount } purchases')
+  }
+  return errors
+}
+
+// Check one list record, returning a list of problems
+const validateList = (list) => {
+  const errors = []
+  if (list.id === undefined || list.id === null) errors.push('missing id')
+  if (typeof list.name !== 'string' || !list.name.trim()) errors.push('missing name')
+  return errors
+}
+
+// Check one budget record against the lists being imported, returning a list of problems
+const validateBudget = (budget, listIds) => {
+  const errors = []
+  if (budget.id === undefined || budget.id === null || budget.id === '') errors.push('missing id')
+  if (!Number.isInteger(budget.amount) || budget.amount <= 0) errors.push('amount must be a positive whole number of minor units')
+  if (!isValidCurrency(budget.currency)) errors.push(`unknown currency "${budget.currency}"`)
+  if (budget.scope === 'list') {
+    if (!listIds.has(budget.listId)) errors.push(`list ${budget.listId} is not in the backup`)
+  } else if (budget.scope === 'month') {
+    if (typeof budget.month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(budget.month)) errors.push('month must be YYYY-MM')
+  } else if (budget.scope !== 'overall') {
+    errors.push(`unknown scope "${budget.scope}"`)
+  }
+  return errors
+}
+
+// Collect row-level errors for a store, returning only the valid records
+const validateRecords = (records, label, validate, errors) => {
+  if (!Array.isArray(records)) {
+    errors.push(`"${label}" must be an array`)
+    return []
+  }
+  return records.filter((record, index) => {
+    const problems = record && typeof record === 'object' ? validate(record) : ['not an object']
+    problems.forEach(problem => errors.push(`${label} #${index + 1}${record?.name ? ` (${record.name})` : ''}: ${problem}`))
+    return problems.length === 0
+  })
+}
+
+// Parse a JSON backup into { data, errors }
+const parseJSONBackup = (text) => {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch {
+    return { data: null, errors: ['File is not valid JSON'] }
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    return { data: null, errors: ['File is not a Things To Buy backup'] }
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return { data: null, errors: [`Backup version ${backup.version} is not supported by this version of the app`] }
+  }
+
+  const errors = []
+  const lists = validateRecords(backup.lists || [], 'List', validateList, errors)
+  const items = validateRecords(backup.items || [], 'Item', validateItem, errors)
+  const rates = validateRecords(backup.rates || [], 'Rate', rate => (
+    isValidCurrency(rate.currency) && rate.rate > 0 && rate.asOf ? [] : ['invalid exchange rate']
+  ), errors)
+  const listIds = new Set(lists.map(list => list.id))
+  // Fields another scope does not use are cleared, so budgets for the same scope compare equal
+  const budgets = validateRecords(backup.budgets || [], 'Budget', budget => validateBudget(budget, listIds), errors)
+    .map(budget => ({
+      ...budget,
+      listId: budget.scope === 'list' ? budget.listId : null,
+      month: budget.scope === 'month' ? budget.month : null
+    }))
+  // Sync settings belong to the browser that made the backup, so they are left out
+  const settings = validateRecords(backup.settings || [], 'Setting', setting => (
+    typeof setting.key === 'string' ? [] : ['missing key']
+  ), errors).filter(setting => !SYNC_SETTING_KEYS.includes(setting.key))
+  const priceHistory = validateRecords(backup.priceHistory || [], 'Price history entry', entry => (
+    entry.itemId != null && Number.isInteger(entry.amount) && isValidCurrency(entry.currency) && Number.isFinite(entry.recordedAt)
+      ? []
+      : ['invalid price history entry']
+  ), errors)
+
+  // Items must belong to a list in the backup
+  items.forEach(item => {
+    if (!listIds.has(item.listId)) {
+      errors.push(`Item "${item.name}": list ${item.listId} is not in the backup`)
+    }
+  })
+
+  return {
+    data: { items: items.filter(item => listIds.has(item.listId)), lists, rates, budgets, settings, priceHistory },
+    errors
+  }
+}
+
+// Parse an items CSV into { data, errors }
+const parseCSVBackup = (text) => {
+  const rows = parseCSV(text)
+  if (rows.length === 0) {
+    return { data: null, errors: ['CSV file is empty'] }
+  }
+
+  const header = rows[0].map(cell => cell.trim())
+  const missingColumns = ['name', 'link', 'amount'].filter(column => !header.includes(column))
+  if (missingColumns.length > 0) {
+    return { data: null, errors: [`CSV is missing columns: ${missingColumns.join(', ')}`] }
+  }
+
+  const errors = []
+  const items = []
+  const lists = {}
+  rows.slice(1).forEach((row, index) => {
+    const cells = Object.fromEntries(header.map((column, columnIndex) => [column, (row[columnIndex] || '').trim()]))
+    const rowNumber = index + 2
+    const currency = (cells.currency || '').toUpperCase()
+    const price = parsePrice(cells.amount, currency || undefined)
+    const paid = cells.paidAmount ? parsePrice(cells.paidAmount, price?.currency) : null
+    const target = cells.targetAmount ? parsePrice(cells.targetAmount, price?.currency) : null
+    const listId = cells.listId ? Number(cells.listId) || cells.listId : DEFAULT_LIST_ID
+    const boughtAt = cells.boughtAt ? Date.parse(cells.boughtAt) : null
+    const quantity = cells.quantity ? parseQuantity(cells.quantity) : 1
+    const quantityBought = cells.quantityBought ? Number(cells.quantityBought) : 0
+    const bought = ['true', 'yes', '1'].includes((cells.bought || 'false').toLowerCase())
+
+    const item = {
+      id: cells.id ? Number(cells.id) || cells.id : Date.now() + index,
+      listId,
+      name: cells.name,
+      link: cells.link,
+      amount: price ? price.amount : NaN,
+      currency: price ? price.currency : currency,
+      bought,
+      boughtAt: Number.isNaN(boughtAt) ? null : boughtAt,
+      paidAmount: paid ? paid.amount : null,
+      targetAmount: target ? target.amount : null,
+      priority: cells.priority || DEFAULT_PRIORITY,
+      category: cells.category || '',
+      tags: cells.tags ? [...new Set(cells.tags.split(';').map(tag => tag.trim()).filter(Boolean))] : [],
+      notes: cells.notes || '',
+      quantity: quantity ?? NaN,
+      // Older exports have no quantityBought column, so a bought row means every unit
+      quantityBought: bought && !cells.quantityBought ? quantity ?? 1 : quantityBought,
+      variants: parseVariants(cells.variants || ''),
+      buyTogether: cells.buyTogether || '',
+      rank: cells.rank ? Number(cells.rank) : null,
+      repeat: cells.repeat || null,
+      repeatDays: cells.repeatDays ? Number(cells.repeatDays) : null
+    }
+
+    const problems = price
+      ? validateItem(item)
+      : [`could not read price "${cells.amount}"`, ...validateItem({ ...item, amount: 0 })]
+    if (Number.isNaN(boughtAt)) problems.push(`invalid boughtAt "${cells.boughtAt}"`)
+    if (problems.length > 0) {
+      errors.push(`Row ${rowNumber}: ${[...new Set(problems)].join('; ')}`)
+      return
+    }
+
+    items.push(item)
+    if (!lists[listId]) {
+      lists[listId] = { id: listId, name: cells.list || 'Imported', archived: false, createdAt: Date.now() }
+    }
+  })
+
+  return { data: { items, lists: Object.values(lists), rates: [], budgets: [], settings: [], priceHistory: [] }, errors }
+}
+
+// Parse an imported backup file, JSON or CSV, into { kind, data, errors }
+export const parseBackupFile = (text, fileName = '') => {
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*\{/.test(text)
+  return isJSON
+    ? { kind: 'json', ...parseJSONBackup(text) }
+    : { kind: 'csv', ...parseCSVBackup(text) }
+}
+
+// Merge incoming records into existing ones, replacing records with the same key
+export const mergeByKey = (existing, incoming, key = 'id') => {
+  const incomingKeys = new Set(incoming.map(record => record[key]))
+  return [...existing.filter(record => !incomingKeys.has(record[key])), ...incoming]
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { buildBackup, parseBackupFile } from './backup'
+
+const list = { id: 1, name: 'Wishlist', archived: false, createdAt: 1000 }
+const item = { id: 2, listId: 1, name: 'Kettle', link: 'https://shop.example/kettle', amount: 249900, currency: 'INR', bought: false }
+const settings = [
+  { key: 'baseCurrency', value: 'INR' },
+  { key: 'syncServerURL', value: 'https://sync.example' },
+  { key: 'syncToken', value: 'secret-token' },
+  { key: 'syncDeviceId', value: 'device-1' },
+  { key: 'syncCursor', value: 42 },
+  { key: 'lastSyncedAt', value: 5000 }
+]
+
+describe('JSON backups', () => {
+  it('leave out the sync connection and its token', () => {
+    const backup = buildBackup({ items: [item], lists: [list], rates: [], budgets: [], settings, priceHistory: [] })
+
+    expect(backup.settings).toEqual([{ key: 'baseCurrency', value: 'INR' }])
+    expect(JSON.stringify(backup)).not.toContain('secret-token')
+  })
+
+  it('ignore sync settings in a backup file that has them', () => {
+    const file = JSON.stringify({ ...buildBackup({ items: [item], lists: [list], rates: [], budgets: [], settings: [], priceHistory: [] }), settings })
+    const { data, errors } = parseBackupFile(file, 'backup.json')
+
+    expect(errors).toEqual([])
+    expect(data.settings).toEqual([{ key: 'baseCurrency', value: 'INR' }])
+  })
+})
+
+describe('JSON backup budgets', () => {
+  const parseBudgets = (budgets) => {
+    const file = JSON.stringify(buildBackup({ items: [], lists: [list], rates: [], budgets, settings: [], priceHistory: [] }))
+    return parseBackupFile(file, 'backup.json')
+  }
+
+  it('keep valid budgets for each scope', () => {
+    const { data, errors } = parseBudgets([
+      { id: 1, scope: 'overall', amount: 100000, currency: 'INR' },
+      { id: 2, scope: 'list', listId: 1, month: '2026-01', amount: 50000, currency: 'INR' },
+      { id: 3, scope: 'month', month: '2026-10', amount: 20000, currency: 'USD' }
+    ])
+
+    expect(errors).toEqual([])
+    expect(data.budgets).toEqual([
+      { id: 1, scope: 'overall', listId: null, month: null, amount: 100000, currency: 'INR' },
+      { id: 2, scope: 'list', listId: 1, month: null, amount: 50000, currency: 'INR' },
+      { id: 3, scope: 'month', listId: null, month: '2026-10', amount: 20000, currency: 'USD' }
+    ])
+  })
+
+  it('reject budgets missing what their scope needs', () => {
+    const { data, errors } = parseBudgets([
+      { id: 1, scope: 'month', amount: 100, currency: 'INR' },
+      { id: 2, scope: 'month', month: '2026-13', amount: 100, currency: 'INR' },
+      { id: 3, scope: 'list', listId: 9, amount: 100, currency: 'INR' },
+      { scope: 'overall', amount: 100, currency: 'INR' },
+      { id: 5, scope: 'weekly', amount: 100, currency: 'INR' }
+    ])
+
+    expect(data.budgets).toEqual([])
+    expect(errors).toEqual([
+      'Budget #1: month must be YYYY-MM',
+      'Budget #2: month must be YYYY-MM',
+      'Budget #3: list 9 is not in the backup',
+      'Budget #4: missing id',
+      'Budget #5: unknown scope "weekly"'
+    ])
+  })
+})
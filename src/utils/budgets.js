@@ -0,0 +1,88 @@
+// Budget caps and spend tracking
+// A budget is { id, scope, listId, month, amount, currency } where scope is
+// 'overall' (every list), 'list' (one list) or 'month' (purchases in a calendar month, YYYY-MM)
+
+import { convertAmount, indexRates } from './exchangeRates'
+import { getPurchases, getRemainingTotal } from './quantity'
+
+// Calendar month of a timestamp as YYYY-MM in local time
+export const monthKey = (timestamp = Date.now()) => {
+  const date = new Date(timestamp)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+// Budgets that apply while viewing a list: overall, that list, and the current month
+export const getApplicableBudgets = (budgets, listId, now = Date.now()) => {
+  const currentMonth = monthKey(now)
+  return budgets.filter(budget =>
+    budget.scope === 'overall' ||
+    (budget.scope === 'list' && budget.listId === listId) ||
+    (budget.scope === 'month' && budget.month === currentMonth)
+  )
+}
+
+// Human-readable label for a budget
+export const getBudgetLabel = (budget, lists) => {
+  if (budget.scope === 'list') {
+    const list = lists.find(list => list.id === budget.listId)
+    return list ? list.name : 'Deleted list'
+  }
+  if (budget.scope === 'month') {
+    const [year, month] = budget.month.split('-').map(Number)
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+  }
+  return 'Overall'
+}
+
+// Work out spent, planned and remaining amounts for a budget in its own currency
+// Planned is the units still to buy in scope; for month budgets only the current month has planned spend
+export const getBudgetStatus = (budget, items, baseCurrency, rates, now = Date.now()) => {
+  const rateMap = indexRates(rates)
+  const missing = []
+  const inScope = budget.scope === 'list'
+    ? items.filter(item => item.listId === budget.listId)
+    : items
+
+  const sum = (entries) => entries.reduce((total, [amount, currency]) => {
+    const converted = convertAmount(amount, currency, budget.currency, baseCurrency, rateMap)
+    if (converted === null) {
+      if (!missing.includes(currency)) missing.push(currency)
+      return total
+    }
+    return total + converted
+  }, 0)
+
+  // Partly bought items count in both: their bought units as spent, the rest as planned
+  // Recurring items that came back still count what was spent on them before
+  const purchases = inScope.flatMap(item => getPurchases(item)
+    .filter(purchase => budget.scope !== 'month' || (purchase.boughtAt && monthKey(purchase.boughtAt) === budget.month))
+    .map(purchase => [purchase.spent, item.currency])
+  )
+  const plannedItems = budget.scope === 'month' && budget.month !== monthKey(now)
+    ? []
+    : inScope.filter(item => !item.bought)
+
+  const spent = sum(purchases)
+  const planned = sum(plannedItems.map(item => [getRemainingTotal(item), item.currency]))
+
+  return {
+    spent,
+    planned,
+    remaining: budget.amount - spent,
+    projected: spent + planned,
+    isOver: spent + planned > budget.amount,
+    missing
+  }
+}
+
+// Budgets that would be over their cap once a new unbought item is added
+// Returns [{ budget, status, overBy, wasOver }]
+export const findBudgetsExceededBy = (newItem, budgets, items, baseCurrency, rates, now = Date.now()) => {
+  return getApplicableBudgets(budgets, newItem.listId, now)
+    .map(budget => {
+      const before = getBudgetStatus(budget, items, baseCurrency, rates, now)
+      const after = getBudgetStatus(budget, [...items, newItem], baseCurrency, rates, now)
+      return { budget, status: after, overBy: after.projected - budget.amount, wasOver: before.isOver }
+    })
+    .filter(result => result.status.isOver)
+}
@@ -0,0 +1,145 @@
+// Offline currency conversion against a user-maintained rate table
+// Each rate record is { currency, rate, asOf } meaning 1 unit of `currency` = `rate` units of the base currency
+
+import { parseCSV } from './csv'
+import { isValidCurrency, toMajor, toMinor } from './price'
+
+// Rates older than this are flagged as stale in totals
+export const STALE_RATE_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Today's date as YYYY-MM-DD, the format used for `asOf`
+export const today = () => new Date().toISOString().slice(0, 10)
+
+// Check whether a rate's as-of date is older than the stale threshold
+export const isRateStale = (rate, now = Date.now()) => {
+  const asOf = Date.parse(rate.asOf)
+  return Number.isNaN(asOf) || now - asOf > STALE_RATE_DAYS * DAY_MS
+}
+
+// Index a rate list by currency code
+export const indexRates = (rates) => {
+  return Object.fromEntries(rates.map(rate => [rate.currency, rate]))
+}
+
+// Convert a minor-unit amount between currencies through the base currency
+// Returns null when a needed rate is missing
+export const convertAmount = (amount, from, to, baseCurrency, rateMap) => {
+  if (from === to) return amount
+  const fromRate = from === baseCurrency ? 1 : rateMap[from]?.rate
+  const toRate = to === baseCurrency ? 1 : rateMap[to]?.rate
+  if (!fromRate || !toRate) return null
+  return toMinor(toMajor(amount, from) * fromRate / toRate, to)
+}
+
+// Combine per-currency totals into one total in the target currency
+// Reports currencies that could not be converted and those converted with stale rates
+export const calculateGrandTotal = (totals, targetCurrency, baseCurrency, rates, now = Date.now()) => {
+  const rateMap = indexRates(rates)
+  const missing = []
+  const stale = []
+  let amount = 0
+
+  Object.entries(totals).forEach(([currency, total]) => {
+    const converted = convertAmount(total, currency, targetCurrency, baseCurrency, rateMap)
+    if (converted === null) {
+      missing.push(currency)
+      return
+    }
+    amount += converted
+    if (currency === targetCurrency) return
+
+    // Flag every non-base rate this conversion went through
+    const usedRates = [currency, targetCurrency].filter(code => code !== baseCurrency)
+    usedRates.forEach(code => {
+      if (isRateStale(rateMap[code], now) && !stale.includes(code)) {
+        stale.push(code)
+      }
+    })
+  })
+
+  return { amount, currency: targetCurrency, missing, stale }
+}
+
+// Express a rate table relative to a different base currency
+// Returns null when the table has no rate for the new base
+export const rebaseRates = (rates, oldBase, newBase) => {
+  if (oldBase === newBase) return rates
+  const pivot = rates.find(rate => rate.currency === newBase)
+  if (!pivot) return null
+
+  const rebased = rates
+    .filter(rate => rate.currency !== newBase)
+    .map(rate => ({ ...rate, rate: rate.rate / pivot.rate, asOf: rate.asOf < pivot.asOf ? rate.asOf : pivot.asOf }))
+  rebased.push({ currency: oldBase, rate: 1 / pivot.rate, asOf: pivot.asOf })
+  return rebased
+}
+
+// Validate a single imported rate, returning an error message or null
+const validateRate = (rate) => {
+  if (!isValidCurrency(rate.currency)) return `unknown currency "${rate.currency}"`
+  if (!Number.isFinite(rate.rate) || rate.rate <= 0) return `invalid rate for ${rate.currency}`
+  if (Number.isNaN(Date.parse(rate.asOf))) return `invalid date "${rate.asOf}" for ${rate.currency}`
+  return null
+}
+
+// Parse an imported rate file (JSON or CSV) into { base, rates, errors }
+// JSON: { base, asOf, rates: { USD: 83.1, EUR: { rate: 90.2, asOf: '2026-10-01' } } } or an array of rate records
+// CSV: currency,rate,asOf with an optional header row
+export const parseRatesFile = (text, fileName = '') => {
+  const errors = []
+  let base = null
+  let entries = []
+
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text)
+  if (isJSON) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch {
+      return { base: null, rates: [], errors: ['File is not valid JSON'] }
+    }
+    const records = Array.isArray(data) ? data : data.rates
+    base = Array.isArray(data) ? null : data.base || null
+    const defaultAsOf = (!Array.isArray(data) && data.asOf) || today()
+
+    if (Array.isArray(records)) {
+      entries = records.map(record => ({
+        currency: String(record.currency || '').toUpperCase(),
+        rate: Number(record.rate),
+        asOf: record.asOf || defaultAsOf
+      }))
+    } else if (records && typeof records === 'object') {
+      entries = Object.entries(records).map(([currency, value]) => ({
+        currency: currency.toUpperCase(),
+        rate: Number(value && typeof value === 'object' ? value.rate : value),
+        asOf: (value && typeof value === 'object' && value.asOf) || defaultAsOf
+      }))
+    } else {
+      errors.push('JSON has no "rates" table')
+    }
+  } else {
+    const rows = parseCSV(text)
+    if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'currency') {
+      rows.shift()
+    }
+    entries = rows.map(([currency = '', rate = '', asOf = '']) => ({
+      currency: currency.trim().toUpperCase(),
+      rate: Number(rate.trim()),
+      asOf: asOf.trim() || today()
+    }))
+  }
+
+  const rates = []
+  entries.forEach((entry, index) => {
+    const error = validateRate(entry)
+    if (error) {
+      errors.push(`Row ${index + 1}: ${error}`)
+    } else {
+      rates.push(entry)
+    }
+  })
+
+  return { base, rates, errors }
+}
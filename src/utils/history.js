@@ -0,0 +1,40 @@
+// Item snapshots for undo/redo
+// A change is described by the state of each affected item before and after it:
+// { id, item, trash } where `item` is the record in the list (null when absent) and
+// `trash` is the record in the trash (null when not trashed, undefined when the trash is untouched)
+
+// Compare ids that may be numbers or strings
+const compareIds = (a, b) => (a.id > b.id) - (a.id < b.id)
+
+// Apply item states to an items array, keeping the position of updated items
+// Items that reappear are slotted back in id order, which is creation order
+export const patchItems = (items, states) => {
+  const statesById = new Map(states.map(state => [state.id, state]))
+  const existingIds = new Set(items.map(item => item.id))
+
+  const patched = items
+    .map(item => (statesById.has(item.id) ? statesById.get(item.id).item : item))
+    .filter(Boolean)
+
+  const added = states.filter(state => state.item && !existingIds.has(state.id)).map(state => state.item)
+  if (added.length === 0) return patched
+
+  return [...patched, ...added].sort(compareIds)
+}
+
+// Apply trash states to a trash array
+export const patchTrash = (trash, states) => {
+  const touched = states.filter(state => state.trash !== undefined)
+  if (touched.length === 0) return trash
+
+  const touchedIds = new Set(touched.map(state => state.id))
+  return [
+    ...trash.filter(trashItem => !touchedIds.has(trashItem.id)),
+    ...touched.filter(state => state.trash).map(state => state.trash)
+  ]
+}
+
+// Image ids the items in some states refer to, whether listed or trashed
+export const getStateImageIds = (states) => {
+  return states.flatMap(state => [state.item?.imageId, state.trash?.imageId]).filter(Boolean)
+}
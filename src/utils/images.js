@@ -0,0 +1,116 @@
+// Item images: resize and compress in the browser, then keep them as Blobs in IndexedDB
+
+import { deleteOrphanedImages, getAllImageIds, saveImage } from './indexedDB'
+
+// Longest side in pixels of the stored image and of the card thumbnail
+const FULL_SIZE = 1200
+const THUMBNAIL_SIZE = 160
+const JPEG_QUALITY = 0.82
+const THUMBNAIL_QUALITY = 0.75
+// Images younger than this are never collected, as their item may not be saved yet
+const ORPHAN_GRACE_MS = 10 * 60 * 1000
+
+// Decode an image Blob into something a canvas can draw
+const decodeImage = async (blob) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(blob)
+    } catch {
+      // Fall back to <img>, which some browsers decode more formats with (e.g. SVG)
+    }
+  }
+  const url = URL.createObjectURL(blob)
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    return image
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+// Draw an image scaled to fit maxSize and encode it as JPEG on a white background
+const renderScaled = (source, maxSize, quality) => {
+  const scale = Math.min(1, maxSize / Math.max(source.width, source.height))
+  const width = Math.max(1, Math.round(source.width * scale))
+  const height = Math.max(1, Math.round(source.height * scale))
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  // JPEG has no transparency, so transparent product shots go on white instead of black
+  context.fillStyle = '#fff'
+  context.fillRect(0, 0, width, height)
+  context.drawImage(source, 0, 0, width, height)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve({ blob, width, height }) : reject(new Error('Could not encode the image')), 'image/jpeg', quality)
+  })
+}
+
+// Resize a picked, pasted, dropped or downloaded image and store it, resolving with its id
+export const storeImage = async (blob) => {
+  if (!blob || !blob.type.startsWith('image/')) {
+    throw new Error('That is not an image')
+  }
+  const source = await decodeImage(blob)
+  try {
+    const full = await renderScaled(source, FULL_SIZE, JPEG_QUALITY)
+    const thumbnail = await renderScaled(source, THUMBNAIL_SIZE, THUMBNAIL_QUALITY)
+    const id = crypto.randomUUID()
+    await saveImage({
+      id,
+      full: full.blob,
+      thumbnail: thumbnail.blob,
+      width: full.width,
+      height: full.height,
+      createdAt: Date.now()
+    })
+    return id
+  } finally {
+    source.close?.()
+  }
+}
+
+// Download an image from a link and store it
+// Stores that do not allow cross-origin reads make this reject
+export const storeImageFromURL = async (url) => {
+  const response = await fetch(url, { credentials: 'omit' })
+  if (!response.ok) {
+    throw new Error(`The image answered with status ${response.status}`)
+  }
+  return storeImage(await response.blob())
+}
+
+// First image on the clipboard, or null when there is none
+export const readClipboardImage = async () => {
+  const clipboardItems = await navigator.clipboard.read()
+  for (const clipboardItem of clipboardItems) {
+    const type = clipboardItem.types.find(type => type.startsWith('image/'))
+    if (type) return clipboardItem.getType(type)
+  }
+  return null
+}
+
+// First image file in a paste or drop, or null when there is none
+export const getTransferredImage = (dataTransfer) => {
+  return [...(dataTransfer?.files || [])].find(file => file.type.startsWith('image/')) || null
+}
+
+// Clear image ids this browser has no image for, as backups from another browser do not carry the images
+export const dropMissingImages = async (items) => {
+  if (!items.some(item => item.imageId)) return items
+  const storedIds = new Set(await getAllImageIds())
+  return items.map(item => (item.imageId && !storedIds.has(item.imageId) ? { ...item, imageId: null } : item))
+}
+
+// Delete stored images that no item or trashed item refers to any more
+// heldImageIds are kept too, e.g. images that undoing a change would bring back
+export const collectOrphanedImages = async (items, trash, heldImageIds = []) => {
+  const keepIds = new Set([...[...items, ...trash].map(item => item.imageId).filter(Boolean), ...heldImageIds])
+  try {
+    await deleteOrphanedImages(keepIds, Date.now() - ORPHAN_GRACE_MS)
+  } catch (error) {
+    console.error('Error collecting orphaned images:', error)
+  }
+}
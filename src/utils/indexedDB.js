@@ -1,32 +1,197 @@
 // IndexedDB utility functions for wishlist storage
 
+import { migrateItemPrice } from './price'
+import { migrateItemDetails } from './itemDetails'
+import { migrateItemQuantity } from './quantity'
+import { broadcastItemChanges, broadcastStoreChanges, isNewerThan } from './tabSync'
+
 const DB_NAME = 'WishlistDB'
-const DB_VERSION = 1
+const DB_VERSION = 11
 const STORE_NAME = 'items'
+const LISTS_STORE_NAME = 'lists'
+const RATES_STORE_NAME = 'rates'
+const SETTINGS_STORE_NAME = 'settings'
+const BUDGETS_STORE_NAME = 'budgets'
+const TRASH_STORE_NAME = 'trash'
+const PRICE_HISTORY_STORE_NAME = 'priceHistory'
+const SYNC_DOCS_STORE_NAME = 'syncDocs'
+const IMAGES_STORE_NAME = 'images'
+
+// Items that predate named lists are moved into this list on upgrade
+export const DEFAULT_LIST_ID = 1
+
+// Build the list that holds items created before lists existed
+export const createDefaultList = () => ({
+  id: DEFAULT_LIST_ID,
+  name: 'My Wishlist',
+  archived: false,
+  createdAt: Date.now()
+})
+
+// How long an outdated tab keeps its connection so pending writes can still go out
+const VERSIONCHANGE_CLOSE_DELAY_MS = 1000
+
+// Connection shared by every operation, opened on first use
+let dbPromise = null
+// Set once another tab has upgraded the schema; this tab's code can no longer open the database
+let isOutdated = false
+const databaseListeners = new Set()
+
+// Listen for connection events: 'outdated' when another tab upgraded the schema and this tab
+// must reload, 'blocked' while an upgrade waits for other tabs to close their connection,
+// 'opened' once the connection is ready
+// Returns a cleanup function that removes the listener
+export const subscribeToDatabaseEvents = (listener) => {
+  databaseListeners.add(listener)
+  return () => databaseListeners.delete(listener)
+}
+
+// Whether another tab has upgraded the schema past this tab's code
+export const isDatabaseOutdated = () => isOutdated
+
+// Tell listeners about a connection event
+const notifyDatabaseListeners = (event) => {
+  databaseListeners.forEach(listener => listener(event))
+}
+
+// Stop using the database after a newer version of the app upgraded it
+const markOutdated = () => {
+  isOutdated = true
+  notifyDatabaseListeners('outdated')
+}
 
 // Initialize database
 export const initDB = () => {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise
+  if (isOutdated) return Promise.reject(new Error('The database was upgraded by a newer version of the app; reload to continue'))
+
+  dbPromise = new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION)
 
     request.onerror = () => {
+      dbPromise = null
+      // The database is already on a newer schema than this code knows about
+      if (request.error?.name === 'VersionError') {
+        markOutdated()
+      }
       reject(new Error('Failed to open IndexedDB'))
     }
 
+    // Another tab still has the old schema open; it closes on versionchange, older builds need closing by hand
+    request.onblocked = () => {
+      notifyDatabaseListeners('blocked')
+    }
+
     request.onsuccess = () => {
-      resolve(request.result)
+      const db = request.result
+      // Reopen on next use if the browser closes the connection
+      db.onclose = () => {
+        dbPromise = null
+      }
+      // A newer version of the app wants to upgrade: let listeners flush pending writes, then get out of its way
+      db.onversionchange = () => {
+        markOutdated()
+        setTimeout(() => {
+          db.close()
+          dbPromise = null
+        }, VERSIONCHANGE_CLOSE_DELAY_MS)
+      }
+      notifyDatabaseListeners('opened')
+      resolve(db)
     }
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result
+      const transaction = event.target.transaction
+      const { oldVersion } = event
       
       // Create object store if it doesn't exist
       if (!db.objectStoreNames.contains(STORE_NAME)) {
         const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: false })
         objectStore.createIndex('bought', 'bought', { unique: false })
       }
+
+      // Record rewrites collected from each version step, applied in a single cursor pass below
+      const itemMigrations = []
+
+      // v2: named lists, existing items move into the default list
+      if (oldVersion < 2) {
+        transaction.objectStore(STORE_NAME).createIndex('listId', 'listId', { unique: false })
+
+        const listStore = db.createObjectStore(LISTS_STORE_NAME, { keyPath: 'id', autoIncrement: false })
+        listStore.put(createDefaultList())
+
+        itemMigrations.push(item => item.listId == null ? { ...item, listId: DEFAULT_LIST_ID } : item)
+      }
+
+      // v3: free-text prices become an amount in minor units plus a currency code
+      if (oldVersion < 3) {
+        transaction.objectStore(STORE_NAME).createIndex('currency', 'currency', { unique: false })
+        itemMigrations.push(migrateItemPrice)
+      }
+
+      // v4: exchange-rate table and key/value settings
+      if (oldVersion < 4) {
+        db.createObjectStore(RATES_STORE_NAME, { keyPath: 'currency' })
+        db.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'key' })
+      }
+
+      // v5: budget caps and purchase dates
+      if (oldVersion < 5) {
+        transaction.objectStore(STORE_NAME).createIndex('boughtAt', 'boughtAt', { unique: false })
+        const budgetStore = db.createObjectStore(BUDGETS_STORE_NAME, { keyPath: 'id' })
+        budgetStore.createIndex('scope', 'scope', { unique: false })
+      }
+
+      // v6: soft-deleted items wait in the trash until restored or purged
+      if (oldVersion < 6) {
+        const trashStore = db.createObjectStore(TRASH_STORE_NAME, { keyPath: 'id' })
+        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false })
+      }
+
+      // v7: priority, category, tags and notes, indexed for grouping
+      if (oldVersion < 7) {
+        const itemStore = transaction.objectStore(STORE_NAME)
+        itemStore.createIndex('priority', 'priority', { unique: false })
+        itemStore.createIndex('category', 'category', { unique: false })
+        itemStore.createIndex('tags', 'tags', { unique: false, multiEntry: true })
+        itemMigrations.push(migrateItemDetails)
+      }
+
+      // v8: price history, one record per recorded price of an item
+      if (oldVersion < 8) {
+        const historyStore = db.createObjectStore(PRICE_HISTORY_STORE_NAME, { keyPath: 'id', autoIncrement: true })
+        historyStore.createIndex('itemId', 'itemId', { unique: false })
+      }
+
+      // v9: sync documents (see utils/syncDocs), one per synced item or list
+      if (oldVersion < 9) {
+        db.createObjectStore(SYNC_DOCS_STORE_NAME, { keyPath: 'key' })
+      }
+
+      // v10: item images, a resized full image and a thumbnail as Blobs, referenced by item.imageId
+      if (oldVersion < 10) {
+        db.createObjectStore(IMAGES_STORE_NAME, { keyPath: 'id' })
+      }
+
+      // v11: quantity, units bought so far and variants
+      if (oldVersion < 11) {
+        itemMigrations.push(migrateItemQuantity)
+      }
+
+      if (oldVersion > 0 && itemMigrations.length > 0) {
+        transaction.objectStore(STORE_NAME).openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result
+          if (cursor) {
+            cursor.update(itemMigrations.reduce((item, migrate) => migrate(item), cursor.value))
+            cursor.continue()
+          }
+        }
+      }
     }
   })
+
+  return dbPromise
 }
 
 // Get all items
@@ -52,88 +217,667 @@ export const getAllItems = async () => {
   }
 }
 
-// Save item
-export const saveItem = async (item) => {
+// Save all items, replacing the whole store (used when restoring a backup)
+export const saveAllItems = async (items) => {
   try {
     const db = await initDB()
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([STORE_NAME], 'readwrite')
       const store = transaction.objectStore(STORE_NAME)
-      const request = store.put(item)
+
+      // Clearing and rewriting happen in one transaction, so a failure rolls back to the old items
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([STORE_NAME])
+        resolve()
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save items to IndexedDB'))
+
+      store.clear()
+      items.forEach(item => store.put(item))
+    })
+  } catch (error) {
+    console.error('Error saving all items:', error)
+    throw error
+  }
+}
+
+// Apply a batch of item puts and deletes ({ id, deletedAt }) in a single transaction, together with
+// the trash entries the same changes put ({ puts: [trashItems], deleteIds }), so neither is written without the other
+// A stored record changed more recently (by another tab) than the write is left alone, and so is the trash entry
+// that goes with it; resolves with those stored records so the caller can show them instead of its own copy
+export const writeItems = async (puts, deletes, trash = { puts: [], deleteIds: [] }) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const hasTrashChanges = trash.puts.length > 0 || trash.deleteIds.length > 0
+      const transaction = db.transaction(hasTrashChanges ? [STORE_NAME, TRASH_STORE_NAME] : [STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(STORE_NAME)
+      const trashStore = hasTrashChanges ? transaction.objectStore(TRASH_STORE_NAME) : null
+      const trashPuts = new Map(trash.puts.map(trashItem => [trashItem.id, trashItem]))
+      const trashDeleteIds = new Set(trash.deleteIds)
+      const skipped = []
+
+      transaction.oncomplete = () => {
+        const skippedIds = new Set(skipped.map(record => record.id))
+        broadcastItemChanges(puts.filter(item => !skippedIds.has(item.id)), deletes.filter(({ id }) => !skippedIds.has(id)))
+        if (hasTrashChanges) broadcastStoreChanges([TRASH_STORE_NAME])
+        resolve(skipped)
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to write items to IndexedDB'))
+
+      // Restoring an item removes its trash entry; deleting one puts it there
+      puts.forEach(item => {
+        store.get(item.id).onsuccess = (event) => {
+          if (isNewerThan(item.updatedAt, event.target.result)) {
+            store.put(item)
+            if (trashDeleteIds.has(item.id)) trashStore.delete(item.id)
+          } else {
+            skipped.push(event.target.result)
+          }
+        }
+      })
+      deletes.forEach(({ id, deletedAt }) => {
+        store.get(id).onsuccess = (event) => {
+          if (!event.target.result || isNewerThan(deletedAt, event.target.result)) {
+            if (event.target.result) store.delete(id)
+            if (trashPuts.has(id)) trashStore.put(trashPuts.get(id))
+          } else {
+            skipped.push(event.target.result)
+          }
+        }
+      })
+
+      // Trash entries without an item change here, e.g. ones deleted for good
+      const itemIds = new Set([...puts.map(item => item.id), ...deletes.map(({ id }) => id)])
+      trashPuts.forEach((trashItem, id) => {
+        if (!itemIds.has(id)) trashStore.put(trashItem)
+      })
+      trashDeleteIds.forEach(id => {
+        if (!itemIds.has(id)) trashStore.delete(id)
+      })
+    })
+  } catch (error) {
+    console.error('Error writing items:', error)
+    throw error
+  }
+}
+
+// Get all lists
+export const getAllLists = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([LISTS_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(LISTS_STORE_NAME)
+      const request = store.getAll()
 
       request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get lists from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting lists:', error)
+    return []
+  }
+}
+
+// Save list (create, rename or archive)
+export const saveList = async (list) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([LISTS_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(LISTS_STORE_NAME)
+      const request = store.put(list)
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([LISTS_STORE_NAME])
         resolve(request.result)
       }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save list to IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error saving list:', error)
+    throw error
+  }
+}
+
+// Delete list together with every item assigned to it
+export const deleteList = async (id) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([LISTS_STORE_NAME, STORE_NAME], 'readwrite')
+      transaction.objectStore(LISTS_STORE_NAME).delete(id)
+
+      const itemIndex = transaction.objectStore(STORE_NAME).index('listId')
+      itemIndex.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([LISTS_STORE_NAME, STORE_NAME])
+        resolve()
+      }
+
+      transaction.onerror = transaction.onabort = () => {
+        reject(new Error('Failed to delete list from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error deleting list:', error)
+    throw error
+  }
+}
+
+// Get all exchange rates
+export const getAllRates = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([RATES_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(RATES_STORE_NAME)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
 
       request.onerror = () => {
-        reject(new Error('Failed to save item to IndexedDB'))
+        reject(new Error('Failed to get rates from IndexedDB'))
       }
     })
   } catch (error) {
-    console.error('Error saving item:', error)
+    console.error('Error getting rates:', error)
+    return []
+  }
+}
+
+// Replace the whole exchange-rate table
+export const saveAllRates = async (rates) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([RATES_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(RATES_STORE_NAME)
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([RATES_STORE_NAME])
+        resolve()
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save rates to IndexedDB'))
+
+      store.clear()
+      rates.forEach(rate => store.put(rate))
+    })
+  } catch (error) {
+    console.error('Error saving rates:', error)
     throw error
   }
 }
 
-// Delete item
-export const deleteItem = async (id) => {
+// Get a setting value, falling back to a default when unset
+export const getSetting = async (key, defaultValue) => {
   try {
     const db = await initDB()
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite')
-      const store = transaction.objectStore(STORE_NAME)
-      const request = store.delete(id)
+      const transaction = db.transaction([SETTINGS_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(SETTINGS_STORE_NAME)
+      const request = store.get(key)
 
       request.onsuccess = () => {
+        resolve(request.result ? request.result.value : defaultValue)
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get setting from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting setting:', error)
+    return defaultValue
+  }
+}
+
+// Save a setting value
+export const saveSetting = async (key, value) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([SETTINGS_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(SETTINGS_STORE_NAME)
+      store.put({ key, value })
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([SETTINGS_STORE_NAME])
         resolve()
       }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save setting to IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error saving setting:', error)
+    throw error
+  }
+}
+
+// Get all budgets
+export const getAllBudgets = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([BUDGETS_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(BUDGETS_STORE_NAME)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
 
       request.onerror = () => {
-        reject(new Error('Failed to delete item from IndexedDB'))
+        reject(new Error('Failed to get budgets from IndexedDB'))
       }
     })
   } catch (error) {
-    console.error('Error deleting item:', error)
+    console.error('Error getting budgets:', error)
+    return []
+  }
+}
+
+// Save budget
+export const saveBudget = async (budget) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([BUDGETS_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(BUDGETS_STORE_NAME)
+      const request = store.put(budget)
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([BUDGETS_STORE_NAME])
+        resolve(request.result)
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save budget to IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error saving budget:', error)
     throw error
   }
 }
 
-// Save all items (batch operation)
-export const saveAllItems = async (items) => {
+// Delete budget
+export const deleteBudget = async (id) => {
   try {
     const db = await initDB()
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite')
-      const store = transaction.objectStore(STORE_NAME)
-      
-      // Clear existing items
-      const clearRequest = store.clear()
-      
-      clearRequest.onsuccess = () => {
-        // Add all items
-        const promises = items.map(item => {
-          return new Promise((resolveItem, rejectItem) => {
-            const addRequest = store.put(item)
-            addRequest.onsuccess = () => resolveItem()
-            addRequest.onerror = () => rejectItem(new Error('Failed to add item'))
-          })
+      const transaction = db.transaction([BUDGETS_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(BUDGETS_STORE_NAME)
+      store.delete(id)
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([BUDGETS_STORE_NAME])
+        resolve()
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to delete budget from IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error deleting budget:', error)
+    throw error
+  }
+}
+
+// Get all settings as { key, value } records
+export const getAllSettings = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([SETTINGS_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(SETTINGS_STORE_NAME)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get settings from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting settings:', error)
+    return []
+  }
+}
+
+// Replace items, lists, rates, budgets, settings and price history in one transaction when restoring a backup,
+// so a failure leaves the old data as it was
+// Sync documents describe the records being replaced, so they are cleared and the next sync starts over
+export const replaceBackupStores = async ({ items, lists, rates, budgets, settings, priceHistory }) => {
+  try {
+    const db = await initDB()
+    const stores = {
+      [SYNC_DOCS_STORE_NAME]: [],
+      [STORE_NAME]: items,
+      [LISTS_STORE_NAME]: lists,
+      [RATES_STORE_NAME]: rates,
+      [BUDGETS_STORE_NAME]: budgets,
+      [SETTINGS_STORE_NAME]: settings,
+      [PRICE_HISTORY_STORE_NAME]: priceHistory
+    }
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(Object.keys(stores), 'readwrite')
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges(Object.keys(stores))
+        resolve()
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to restore backup to IndexedDB'))
+
+      // A record the store cannot take throws here; abort so the stores cleared so far are rolled back
+      try {
+        Object.entries(stores).forEach(([storeName, records]) => {
+          const store = transaction.objectStore(storeName)
+          store.clear()
+          records.forEach(record => store.put(record))
         })
-        
-        Promise.all(promises)
-          .then(() => {
-            transaction.oncomplete = () => resolve()
-            transaction.onerror = () => reject(new Error('Transaction failed'))
-          })
-          .catch(reject)
+      } catch (error) {
+        transaction.abort()
+        throw error
       }
-      
-      clearRequest.onerror = () => {
-        reject(new Error('Failed to clear IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error restoring backup:', error)
+    throw error
+  }
+}
+
+// Get all items in the trash
+export const getAllTrash = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([TRASH_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(TRASH_STORE_NAME)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get trash from IndexedDB'))
       }
     })
   } catch (error) {
-    console.error('Error saving all items:', error)
+    console.error('Error getting trash:', error)
+    return []
+  }
+}
+
+// Permanently delete trashed items deleted before the cutoff timestamp, along with their price history
+// Resolves with the ids that were purged
+export const purgeTrash = async (cutoff) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([TRASH_STORE_NAME, PRICE_HISTORY_STORE_NAME], 'readwrite')
+      const index = transaction.objectStore(TRASH_STORE_NAME).index('deletedAt')
+      const historyIndex = transaction.objectStore(PRICE_HISTORY_STORE_NAME).index('itemId')
+      const purgedIds = []
+
+      // Delete every cursor record, then move on
+      const deleteAll = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+
+      index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          purgedIds.push(cursor.primaryKey)
+          historyIndex.openCursor(IDBKeyRange.only(cursor.primaryKey)).onsuccess = deleteAll
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+
+      transaction.oncomplete = () => {
+        if (purgedIds.length > 0) broadcastStoreChanges([TRASH_STORE_NAME, PRICE_HISTORY_STORE_NAME])
+        resolve(purgedIds)
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to purge trash'))
+    })
+  } catch (error) {
+    console.error('Error purging trash:', error)
     throw error
   }
 }
 
+// Get every recorded price
+export const getAllPriceHistory = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PRICE_HISTORY_STORE_NAME], 'readonly')
+      const store = transaction.objectStore(PRICE_HISTORY_STORE_NAME)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get price history from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting price history:', error)
+    return []
+  }
+}
+
+// Record a price for an item, resolving with the stored entry including its generated id
+export const addPriceHistoryEntry = async (entry) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PRICE_HISTORY_STORE_NAME], 'readwrite')
+      const request = transaction.objectStore(PRICE_HISTORY_STORE_NAME).add(entry)
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([PRICE_HISTORY_STORE_NAME])
+        resolve({ ...entry, id: request.result })
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save price history to IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error saving price history:', error)
+    throw error
+  }
+}
+
+// Delete the whole price history of an item
+export const deletePriceHistory = async (itemId) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PRICE_HISTORY_STORE_NAME], 'readwrite')
+      const index = transaction.objectStore(PRICE_HISTORY_STORE_NAME).index('itemId')
+
+      index.openCursor(IDBKeyRange.only(itemId)).onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          cursor.delete()
+          cursor.continue()
+        }
+      }
+
+      transaction.oncomplete = () => {
+        broadcastStoreChanges([PRICE_HISTORY_STORE_NAME])
+        resolve()
+      }
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to delete price history from IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error deleting price history:', error)
+    throw error
+  }
+}
+
+// Get every sync document
+export const getAllSyncDocs = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([SYNC_DOCS_STORE_NAME], 'readonly')
+      const request = transaction.objectStore(SYNC_DOCS_STORE_NAME).getAll()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get sync documents from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting sync documents:', error)
+    return []
+  }
+}
+
+// Save sync documents in one transaction
+export const saveSyncDocs = async (docs) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([SYNC_DOCS_STORE_NAME], 'readwrite')
+      const store = transaction.objectStore(SYNC_DOCS_STORE_NAME)
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save sync documents to IndexedDB'))
+
+      docs.forEach(doc => store.put(doc))
+    })
+  } catch (error) {
+    console.error('Error saving sync documents:', error)
+    throw error
+  }
+}
+
+// Forget all sync state, e.g. when switching to another sync server
+export const clearSyncDocs = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([SYNC_DOCS_STORE_NAME], 'readwrite')
+      transaction.objectStore(SYNC_DOCS_STORE_NAME).clear()
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to clear sync documents'))
+    })
+  } catch (error) {
+    console.error('Error clearing sync documents:', error)
+    throw error
+  }
+}
+
+// Get one image record, or null when it is missing
+export const getImage = async (id) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([IMAGES_STORE_NAME], 'readonly')
+      const request = transaction.objectStore(IMAGES_STORE_NAME).get(id)
+
+      request.onsuccess = () => {
+        resolve(request.result || null)
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get image from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting image:', error)
+    return null
+  }
+}
+
+// Save an image record
+export const saveImage = async (image) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([IMAGES_STORE_NAME], 'readwrite')
+      transaction.objectStore(IMAGES_STORE_NAME).put(image)
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to save image to IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error saving image:', error)
+    throw error
+  }
+}
+
+// Ids of every stored image
+export const getAllImageIds = async () => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([IMAGES_STORE_NAME], 'readonly')
+      const request = transaction.objectStore(IMAGES_STORE_NAME).getAllKeys()
+
+      request.onsuccess = () => {
+        resolve(request.result || [])
+      }
+
+      request.onerror = () => {
+        reject(new Error('Failed to get image ids from IndexedDB'))
+      }
+    })
+  } catch (error) {
+    console.error('Error getting image ids:', error)
+    return []
+  }
+}
+
+// Delete images no item refers to, resolving with how many were deleted
+// Only images created before `createdBefore` go, so one just picked for an item that is not saved yet survives
+export const deleteOrphanedImages = async (keepIds, createdBefore) => {
+  try {
+    const db = await initDB()
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([IMAGES_STORE_NAME], 'readwrite')
+      let deletedCount = 0
+
+      transaction.objectStore(IMAGES_STORE_NAME).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          if (!keepIds.has(cursor.value.id) && cursor.value.createdAt < createdBefore) {
+            cursor.delete()
+            deletedCount++
+          }
+          cursor.continue()
+        }
+      }
+
+      transaction.oncomplete = () => resolve(deletedCount)
+      transaction.onerror = transaction.onabort = () => reject(new Error('Failed to delete images from IndexedDB'))
+    })
+  } catch (error) {
+    console.error('Error deleting images:', error)
+    throw error
+  }
+}
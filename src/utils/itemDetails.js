@@ -0,0 +1,63 @@
+// Priority, category, tags and notes on items
+
+export const PRIORITIES = [
+  ['must', 'Must-have'],
+  ['nice', 'Nice-to-have'],
+  ['someday', 'Someday']
+]
+
+export const DEFAULT_PRIORITY = 'nice'
+
+export const UNCATEGORIZED = 'Uncategorized'
+
+// Display label for a priority value
+export const getPriorityLabel = (priority) => {
+  const match = PRIORITIES.find(([value]) => value === priority)
+  return match ? match[1] : getPriorityLabel(DEFAULT_PRIORITY)
+}
+
+// Split a comma-separated tag input into unique, trimmed tags
+export const parseTags = (text) => {
+  const tags = text.split(',').map(tag => tag.trim()).filter(Boolean)
+  return [...new Set(tags)]
+}
+
+// Join tags back into the comma-separated form used by inputs
+export const formatTags = (tags = []) => tags.join(', ')
+
+// Fill in detail fields for items created before they existed
+export const migrateItemDetails = (item) => ({
+  ...item,
+  priority: item.priority || DEFAULT_PRIORITY,
+  category: item.category || '',
+  tags: Array.isArray(item.tags) ? item.tags : [],
+  notes: item.notes || ''
+})
+
+// Group items by category or priority, in a stable display order
+// Returns [{ key, label, items }]
+export const groupItems = (items, groupBy) => {
+  if (groupBy === 'priority') {
+    return PRIORITIES
+      .map(([value, label]) => ({
+        key: value,
+        label,
+        items: items.filter(item => (item.priority || DEFAULT_PRIORITY) === value)
+      }))
+      .filter(group => group.items.length > 0)
+  }
+
+  if (groupBy === 'category') {
+    const groups = new Map()
+    items.forEach(item => {
+      const category = item.category || UNCATEGORIZED
+      if (!groups.has(category)) groups.set(category, [])
+      groups.get(category).push(item)
+    })
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+      .map(([category, groupItems]) => ({ key: category, label: category, items: groupItems }))
+  }
+
+  return [{ key: 'all', label: null, items }]
+}
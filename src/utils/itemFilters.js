@@ -0,0 +1,120 @@
+// Search, filter and sort for the item lists, with the view kept in the URL query string
+
+import { convertAmount, indexRates } from './exchangeRates'
+import { toMajor } from './price'
+import { getVendor } from './vendors'
+import { compareRanks } from './ordering'
+
+export const DEFAULT_VIEW = {
+  q: '',
+  min: '',
+  max: '',
+  store: '',
+  status: 'all',
+  sort: 'manual',
+  group: ''
+}
+
+export const SORT_OPTIONS = [
+  ['manual', 'My order (drag to reorder)'],
+  ['added', 'Date added (oldest first)'],
+  ['added-desc', 'Date added (newest first)'],
+  ['price-asc', 'Price (low to high)'],
+  ['price-desc', 'Price (high to low)'],
+  ['name', 'Name (A–Z)'],
+  ['name-desc', 'Name (Z–A)']
+]
+
+const STATUS_VALUES = ['all', 'need', 'bought']
+const GROUP_VALUES = ['', 'category', 'priority', 'store']
+
+// Read the view from a query string, ignoring unknown or invalid values
+export const readViewFromURL = (search) => {
+  const params = new URLSearchParams(search)
+  const view = { ...DEFAULT_VIEW }
+  Object.keys(DEFAULT_VIEW).forEach(key => {
+    if (params.has(key)) view[key] = params.get(key)
+  })
+  if (!STATUS_VALUES.includes(view.status)) view.status = DEFAULT_VIEW.status
+  if (!SORT_OPTIONS.some(([value]) => value === view.sort)) view.sort = DEFAULT_VIEW.sort
+  if (!GROUP_VALUES.includes(view.group)) view.group = DEFAULT_VIEW.group
+  return view
+}
+
+// Write the view (and active list) into the URL without adding a history entry
+// Other query parameters are left alone
+export const writeViewToURL = (view, listId) => {
+  const url = new URL(window.location.href)
+  Object.keys(DEFAULT_VIEW).forEach(key => {
+    if (view[key] && view[key] !== DEFAULT_VIEW[key]) {
+      url.searchParams.set(key, view[key])
+    } else {
+      url.searchParams.delete(key)
+    }
+  })
+  if (listId != null) {
+    url.searchParams.set('list', listId)
+  }
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url)
+  }
+}
+
+// Read the list id from the URL, matching it against the known lists
+export const readListIdFromURL = (search, lists) => {
+  const listParam = new URLSearchParams(search).get('list')
+  const list = lists.find(list => String(list.id) === listParam)
+  return list ? list.id : null
+}
+
+// Check whether any filter differs from the defaults
+export const isViewFiltered = (view) => {
+  return view.q !== '' || view.min !== '' || view.max !== '' || view.store !== '' || view.status !== 'all'
+}
+
+// Price of an item as a decimal in the base currency, falling back to its own currency
+const getComparablePrice = (item, baseCurrency, rateMap) => {
+  const converted = convertAmount(item.amount, item.currency, baseCurrency, baseCurrency, rateMap)
+  return converted === null ? toMajor(item.amount, item.currency) : toMajor(converted, baseCurrency)
+}
+
+// Filter and sort items for display
+// The store filter matches vendor names, so it needs the vendor aliases
+export const applyView = (items, view, baseCurrency, rates, vendorAliases = []) => {
+  const rateMap = indexRates(rates)
+  const query = view.q.trim().toLowerCase()
+  const min = view.min === '' ? null : Number(view.min)
+  const max = view.max === '' ? null : Number(view.max)
+
+  const filtered = items.filter(item => {
+    if (view.status === 'need' && item.bought) return false
+    if (view.status === 'bought' && !item.bought) return false
+    if (view.store && getVendor(item.link, vendorAliases) !== view.store) return false
+
+    if (query) {
+      const haystack = [item.name, item.link, item.notes, item.category, ...(item.tags || [])]
+        .filter(Boolean).join(' ').toLowerCase()
+      if (!haystack.includes(query)) return false
+    }
+
+    if (min !== null || max !== null) {
+      const price = getComparablePrice(item, baseCurrency, rateMap)
+      if (min !== null && price < min) return false
+      if (max !== null && price > max) return false
+    }
+    return true
+  })
+
+  const compareIds = (a, b) => (a.id > b.id) - (a.id < b.id)
+  const comparators = {
+    manual: compareRanks,
+    added: compareIds,
+    'added-desc': (a, b) => compareIds(b, a),
+    'price-asc': (a, b) => getComparablePrice(a, baseCurrency, rateMap) - getComparablePrice(b, baseCurrency, rateMap),
+    'price-desc': (a, b) => getComparablePrice(b, baseCurrency, rateMap) - getComparablePrice(a, baseCurrency, rateMap),
+    name: (a, b) => a.name.localeCompare(b.name),
+    'name-desc': (a, b) => b.name.localeCompare(a.name)
+  }
+
+  return [...filtered].sort(comparators[view.sort] || compareRanks)
+}
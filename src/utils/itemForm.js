@@ -0,0 +1,89 @@
+// Reading the add and edit item forms: every field is checked and turned into item values at once
+// Errors are keyed by field name so the form can show each one under its input
+
+import { parsePrice } from './price'
+import { parseTags } from './itemDetails'
+import { parseQuantity, parseVariants } from './quantity'
+import { normalizeLink } from './links'
+
+// Read the form, returning { errors, fields } where fields is only complete when errors is empty
+// Edit forms also carry quantityBought and paid, which are read when present
+export const readItemForm = (values) => {
+  const errors = {}
+  const name = values.name.trim()
+  if (!name) errors.name = 'Enter a name for the item.'
+
+  const link = normalizeLink(values.link)
+  if (!values.link.trim()) {
+    errors.link = 'Enter the product link.'
+  } else if (!link) {
+    errors.link = 'Enter a web address, e.g., https://shop.example/item.'
+  }
+
+  const price = parsePrice(values.price, values.currency)
+  if (!values.price.trim()) {
+    errors.price = 'Enter a price, e.g., 24.99.'
+  } else if (!price) {
+    errors.price = 'Enter just the price, e.g., 24.99 or $24.99.'
+  }
+
+  // Target and paid prices are in the item's currency
+  const currency = price ? price.currency : values.currency
+  const target = values.target.trim() ? parsePrice(values.target, currency) : null
+  if (values.target.trim() && !target) errors.target = 'Enter a target price, or leave it empty.'
+
+  const quantity = parseQuantity(values.quantity)
+  if (!quantity) errors.quantity = 'Enter a whole number of at least 1.'
+
+  // Learned repeats can start without a guess; fixed ones need the interval
+  const repeat = values.repeat || null
+  const repeatDays = values.repeatDays.trim() ? parseQuantity(values.repeatDays) : null
+  if (repeat === 'fixed' && !repeatDays) {
+    errors.repeatDays = 'Enter how many days, e.g., 30.'
+  } else if (repeat && values.repeatDays.trim() && !repeatDays) {
+    errors.repeatDays = 'Enter a whole number of days, or leave it empty.'
+  }
+
+  const fields = {
+    name,
+    link,
+    amount: price?.amount,
+    currency,
+    targetAmount: target ? target.amount : null,
+    quantity,
+    variants: parseVariants(values.variants),
+    priority: values.priority,
+    category: values.category.trim(),
+    tags: parseTags(values.tags),
+    buyTogether: values.buyTogether.trim(),
+    notes: values.notes.trim(),
+    imageId: values.imageId,
+    repeat,
+    repeatDays: repeat ? repeatDays : null
+  }
+
+  if (values.quantityBought !== undefined) {
+    const text = String(values.quantityBought).trim()
+    const quantityBought = text ? Number(text) : NaN
+    if (!Number.isInteger(quantityBought) || quantityBought < 0 || (quantity && quantityBought > quantity)) {
+      errors.quantityBought = `Enter a whole number from 0 to ${quantity || 'the quantity'}.`
+    }
+    fields.quantityBought = quantityBought
+  }
+  if (values.paid !== undefined) {
+    const paid = values.paid.trim() ? parsePrice(values.paid, currency) : null
+    if (values.paid.trim() && !paid) errors.paid = 'Enter the price paid, or leave it empty to use the listed price.'
+    fields.paidAmount = paid ? paid.amount : null
+  }
+
+  return { errors, fields }
+}
+
+// Move focus to the first field with an error, whose id is the form's prefix and the field name
+// in kebab case, e.g. edit-12-quantity-bought
+export const focusFirstError = (idPrefix, errors) => {
+  const field = Object.keys(errors)[0]
+  if (!field) return
+  const id = `${idPrefix}-${field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`
+  document.getElementById(id)?.focus()
+}
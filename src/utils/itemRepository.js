@@ -0,0 +1,134 @@
+// Incremental item persistence on top of indexedDB.js
+// Changes are queued per item and written in one debounced transaction, so an edit
+// costs one record write instead of rewriting the whole store
+// Trash entries made or removed by the same changes go into that transaction too
+
+import { isDatabaseOutdated, writeItems } from './indexedDB'
+import { getNextUpdatedAt } from './tabSync'
+
+const SAVE_DELAY_MS = 300
+
+// Pending writes keyed by item id: { item } to put, or { deletedAt } to delete
+const pending = new Map()
+// Pending trash writes keyed by item id: the trash entry to put, or null to remove it
+const pendingTrash = new Map()
+let flushTimer = null
+let flushing = Promise.resolve()
+// Told about stored records a flush left alone because they were newer than the change
+let skippedListener = null
+
+// Schedule a flush after the debounce window
+const scheduleFlush = () => {
+  clearTimeout(flushTimer)
+  flushTimer = setTimeout(flushItemWrites, SAVE_DELAY_MS)
+}
+
+// Queue a trash entry to be put, or removed when trashItem is null
+export const queueTrashChange = (id, trashItem) => {
+  pendingTrash.set(id, trashItem)
+  scheduleFlush()
+}
+
+// Queue writes for the items that differ between two snapshots of the items array
+// Items are updated immutably, so a changed item is a new object
+export const queueItemChanges = (previousItems, nextItems) => {
+  const previousById = new Map(previousItems.map(item => [item.id, item]))
+  const nextIds = new Set()
+
+  nextItems.forEach(item => {
+    nextIds.add(item.id)
+    if (previousById.get(item.id) !== item) {
+      pending.set(item.id, { item })
+    }
+  })
+  const now = Date.now()
+  previousItems.forEach(item => {
+    if (!nextIds.has(item.id)) {
+      pending.set(item.id, { deletedAt: getNextUpdatedAt(item, now) })
+    }
+  })
+
+  if (pending.size > 0) {
+    scheduleFlush()
+  }
+}
+
+// Write every pending change now
+// Writes run one batch at a time; a failed batch is re-queued unless a newer change replaced it
+export const flushItemWrites = () => {
+  clearTimeout(flushTimer)
+  flushTimer = null
+  if (pending.size === 0 && pendingTrash.size === 0) return flushing
+
+  const batch = new Map(pending)
+  const trashBatch = new Map(pendingTrash)
+  pending.clear()
+  pendingTrash.clear()
+
+  flushing = flushing.then(async () => {
+    const puts = []
+    const deletes = []
+    batch.forEach((change, id) => {
+      if (change.item) {
+        puts.push(change.item)
+      } else {
+        deletes.push({ id, deletedAt: change.deletedAt })
+      }
+    })
+
+    try {
+      const trash = { puts: [], deleteIds: [] }
+      trashBatch.forEach((trashItem, id) => {
+        if (trashItem) {
+          trash.puts.push(trashItem)
+        } else {
+          trash.deleteIds.push(id)
+        }
+      })
+      const skipped = await writeItems(puts, deletes, trash)
+      if (skipped.length > 0) {
+        console.warn(`Kept ${skipped.length} stored item(s) that were newer than the change`)
+        skippedListener?.(skipped)
+      }
+    } catch (error) {
+      console.error('Error saving items:', error)
+      batch.forEach((change, id) => {
+        if (!pending.has(id)) pending.set(id, change)
+      })
+      trashBatch.forEach((trashItem, id) => {
+        if (!pendingTrash.has(id)) pendingTrash.set(id, trashItem)
+      })
+      // An outdated tab cannot write until it reloads, so stop retrying
+      if (!isDatabaseOutdated()) {
+        scheduleFlush()
+      }
+    }
+  })
+  return flushing
+}
+
+// Listen for writes that were not made because the stored item was newer, with those stored items
+// Returns a cleanup function that removes the listener
+export const subscribeToSkippedWrites = (listener) => {
+  skippedListener = listener
+  return () => {
+    if (skippedListener === listener) skippedListener = null
+  }
+}
+
+// Flush pending writes when the tab is hidden or closed, so the debounce window is not lost
+// Returns a cleanup function that removes the listeners
+export const flushItemWritesOnHide = () => {
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      flushItemWrites()
+    }
+  }
+
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+  window.addEventListener('pagehide', flushItemWrites)
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+    window.removeEventListener('pagehide', flushItemWrites)
+  }
+}
@@ -0,0 +1,57 @@
+// Product links: tidy what people paste and spot links already on a list
+
+import { getLinkHost } from './vendors'
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|_hsenc|_hsmi)$/i
+
+// Amazon adds referral markers as ?ref=… and /ref=… path segments, plus page-layout trackers
+const AMAZON_HOST = /(^|\.)(amazon\.[a-z.]+|amzn\.[a-z]+)$/
+const AMAZON_TRACKING_PARAMS = /^(ref|ref_|pf_rd_.+|pd_rd_.+|_encoding|content-id|qid|sr|crid|sprefix|keywords|dib|dib_tag)$/i
+
+// A link as an absolute http(s) URL without tracking parameters, or null when it is not a web address
+// "amazon.in/dp/B0ABC/ref=sr_1_1?utm_source=x" → "https://amazon.in/dp/B0ABC"
+export const normalizeLink = (text) => {
+  const trimmed = String(text ?? '').trim()
+  if (!trimmed) return null
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(trimmed) && !/^[^/:]+:\d+(\/|$)/.test(trimmed)
+    ? trimmed
+    : `https://${trimmed.replace(/^\/\//, '')}`
+
+  let url
+  try {
+    url = new URL(withScheme)
+  } catch {
+    return null
+  }
+  // A host needs a dot (or to be localhost) to be a shop, which catches most typos
+  if (!['http:', 'https:'].includes(url.protocol) || !(url.hostname.includes('.') || url.hostname === 'localhost')) {
+    return null
+  }
+
+  const isAmazon = AMAZON_HOST.test(url.hostname.toLowerCase())
+  ;[...url.searchParams.keys()].forEach(key => {
+    if (TRACKING_PARAMS.test(key) || (isAmazon && AMAZON_TRACKING_PARAMS.test(key))) {
+      url.searchParams.delete(key)
+    }
+  })
+  if (isAmazon) {
+    url.pathname = url.pathname.replace(/\/ref=[^/]*\/?$/, '').replace(/\/ref=[^/]*\//, '/')
+  }
+  return url.href
+}
+
+// Key for comparing links: host without "www.", path without a trailing slash, and the query
+const getLinkKey = (link) => {
+  const normalized = normalizeLink(link)
+  if (!normalized) return null
+  const url = new URL(normalized)
+  return `${getLinkHost(normalized)}${url.pathname.replace(/\/$/, '')}${url.search}`
+}
+
+// The first item whose link points at the same page, ignoring one item (the one being edited)
+export const findItemWithLink = (items, link, ignoreId = null) => {
+  const key = getLinkKey(link)
+  if (!key) return null
+  return items.find(item => item.id !== ignoreId && getLinkKey(item.link) === key) || null
+}
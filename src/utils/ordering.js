@@ -0,0 +1,50 @@
+// Manual item order. Each item has a fractional rank, so moving an item rewrites only that item:
+// it gets a rank halfway between its new neighbours
+// Items never moved have no rank and sort by their id, which is the time they were added,
+// so ranks live on the same scale and new items still land at the bottom
+
+// Gap left beyond the first or last item when moving an item to either end
+const RANK_STEP = 1000
+
+// Where an item sorts in the manual order
+export const getRank = (item) => {
+  if (typeof item.rank === 'number') return item.rank
+  return typeof item.id === 'number' ? item.id : 0
+}
+
+// Comparator for the manual order; equal ranks fall back to the date added
+export const compareRanks = (a, b) => getRank(a) - getRank(b) || (a.id > b.id) - (a.id < b.id)
+
+// A rank strictly between two neighbours' ranks, or null when the numbers have run out of room
+const rankBetween = (before, after) => {
+  if (before === null && after === null) return 0
+  if (before === null) return after - RANK_STEP
+  if (after === null) return before + RANK_STEP
+  const rank = before + (after - before) / 2
+  return rank > before && rank < after ? rank : null
+}
+
+// Move an item to position toIndex among the other items of an ordered section
+// Returns the items whose rank changed: just the moved one, unless its neighbours' ranks are
+// too close to split, in which case the section is spread back out over the ranks it covers
+export const moveToIndex = (orderedItems, id, toIndex) => {
+  const moving = orderedItems.find(item => item.id === id)
+  if (!moving) return []
+  const others = orderedItems.filter(item => item.id !== id)
+  const index = Math.min(Math.max(toIndex, 0), others.length)
+  const before = index > 0 ? getRank(others[index - 1]) : null
+  const after = index < others.length ? getRank(others[index]) : null
+
+  const rank = rankBetween(before, after)
+  if (rank !== null) {
+    return getRank(moving) === rank ? [] : [{ ...moving, rank }]
+  }
+
+  const reordered = [...others.slice(0, index), moving, ...others.slice(index)]
+  const ranks = orderedItems.map(getRank)
+  const low = Math.min(...ranks)
+  const step = Math.max((Math.max(...ranks) - low) / (reordered.length - 1), RANK_STEP)
+  return reordered
+    .map((item, position) => ({ ...item, rank: low + position * step }))
+    .filter((item, position) => getRank(reordered[position]) !== item.rank)
+}
@@ -0,0 +1,120 @@
+// Purchase planner: the set of Need to Buy items worth the most priority within a budget
+// Items sharing a "buy together" name are planned as one unit, all or none
+// This is a 0/1 knapsack solved exactly by branch and bound, which is quick for lists of a few dozen items
+
+import { convertAmount, indexRates } from './exchangeRates'
+import { DEFAULT_PRIORITY } from './itemDetails'
+import { getRemainingTotal } from './quantity'
+
+// How much each priority counts towards a plan
+export const PRIORITY_WEIGHTS = {
+  must: 10,
+  nice: 4,
+  someday: 1
+}
+
+// Give up rather than freeze the page on a list far larger than the planner is meant for
+const MAX_NODES = 2000000
+
+// Planning units: single items, or every item of a buy-together group
+// Returns { units, excluded } where excluded items have no exchange rate to the budget currency
+export const buildPlanUnits = (items, budgetCurrency, baseCurrency, rates) => {
+  const rateMap = indexRates(rates)
+  const units = new Map()
+
+  items.forEach(item => {
+    const cost = convertAmount(getRemainingTotal(item), item.currency, budgetCurrency, baseCurrency, rateMap)
+    const bundle = item.buyTogether?.trim().toLowerCase()
+    const key = bundle ? `bundle:${item.listId}:${bundle}` : `item:${item.id}`
+    if (!units.has(key)) {
+      units.set(key, { key, label: bundle ? item.buyTogether.trim() : null, items: [], cost: 0, weight: 0, isComplete: true })
+    }
+    const unit = units.get(key)
+    unit.items.push(item)
+    if (cost === null) {
+      // A group cannot be priced without all of its items
+      unit.isComplete = false
+      return
+    }
+    unit.cost += cost
+    unit.weight += PRIORITY_WEIGHTS[item.priority || DEFAULT_PRIORITY] ?? PRIORITY_WEIGHTS[DEFAULT_PRIORITY]
+  })
+
+  const allUnits = [...units.values()]
+  return {
+    units: allUnits.filter(unit => unit.isComplete),
+    excluded: allUnits.filter(unit => !unit.isComplete).flatMap(unit => unit.items)
+  }
+}
+
+// Pick the units with the highest total weight whose cost fits the budget
+// Ties go to the cheaper plan. Returns { units, cost, weight, isExact }
+export const solvePlan = (units, budget) => {
+  // Free units always fit; units over budget never do
+  const free = units.filter(unit => unit.cost <= 0)
+  const candidates = units
+    .filter(unit => unit.cost > 0 && unit.cost <= budget)
+    .sort((a, b) => b.weight / b.cost - a.weight / a.cost)
+
+  // Best weight still reachable from `index` with `room` left, allowing a fraction of one unit
+  const upperBound = (index, room, weight) => {
+    let bound = weight
+    for (let i = index; i < candidates.length; i++) {
+      if (candidates[i].cost <= room) {
+        room -= candidates[i].cost
+        bound += candidates[i].weight
+      } else {
+        return bound + candidates[i].weight * (room / candidates[i].cost)
+      }
+    }
+    return bound
+  }
+
+  let best = { chosen: [], weight: 0, cost: 0 }
+  const chosen = []
+  let nodes = 0
+  let isExact = true
+
+  const search = (index, room, weight, cost) => {
+    if (weight > best.weight || (weight === best.weight && cost < best.cost)) {
+      best = { chosen: [...chosen], weight, cost }
+    }
+    if (index === candidates.length) return
+    if (++nodes > MAX_NODES) {
+      isExact = false
+      return
+    }
+    // Prune unless this branch could beat the best plan, or match it more cheaply
+    if (upperBound(index, room, weight) < best.weight) return
+
+    const unit = candidates[index]
+    if (unit.cost <= room) {
+      chosen.push(unit)
+      search(index + 1, room - unit.cost, weight + unit.weight, cost + unit.cost)
+      chosen.pop()
+    }
+    search(index + 1, room, weight, cost)
+  }
+
+  search(0, budget, 0, 0)
+
+  return {
+    units: [...free, ...best.chosen],
+    cost: best.cost,
+    weight: best.weight + free.reduce((total, unit) => total + unit.weight, 0),
+    isExact
+  }
+}
+
+// Plan a purchase from Need to Buy items within a budget in minor units of budgetCurrency
+// Returns { units, items, cost, weight, leftover, excluded, isExact }
+export const planPurchase = (items, budget, budgetCurrency, baseCurrency, rates) => {
+  const { units, excluded } = buildPlanUnits(items.filter(item => !item.bought), budgetCurrency, baseCurrency, rates)
+  const plan = solvePlan(units, budget)
+  return {
+    ...plan,
+    items: plan.units.flatMap(unit => unit.items),
+    leftover: budget - plan.cost,
+    excluded
+  }
+}
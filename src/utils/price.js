@@ -0,0 +1,147 @@
+// Price parsing and formatting
+// Items store prices as an integer amount in minor units plus an ISO 4217 currency code
+
+export const DEFAULT_CURRENCY = 'INR'
+
+// Currencies offered in the price pickers
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'SGD', 'AED', 'CHF', 'CNY']
+
+// Symbols and abbreviations recognised when parsing typed prices, longest first
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['A$', 'AUD'],
+  ['C$', 'CAD'],
+  ['S$', 'SGD'],
+  ['Rs.', 'INR'],
+  ['Rs', 'INR'],
+  ['₹', 'INR'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['$', 'USD']
+]
+
+const minorDigitsCache = {}
+
+// Intl accepts any well-formed code, so prefer its list of real currencies where available
+const knownCurrencies = typeof Intl.supportedValuesOf === 'function'
+  ? new Set(Intl.supportedValuesOf('currency'))
+  : new Set(CURRENCIES)
+
+// Check that a code is an ISO 4217 currency
+export const isValidCurrency = (code) => {
+  return typeof code === 'string' && knownCurrencies.has(code)
+}
+
+// Number of minor-unit digits for a currency (2 for INR, 0 for JPY, 3 for KWD)
+export const getMinorDigits = (currency) => {
+  if (minorDigitsCache[currency] === undefined) {
+    minorDigitsCache[currency] = new Intl.NumberFormat('en', { style: 'currency', currency })
+      .resolvedOptions().maximumFractionDigits
+  }
+  return minorDigitsCache[currency]
+}
+
+// Convert between minor units and a decimal amount
+export const toMajor = (amount, currency) => amount / 10 ** getMinorDigits(currency)
+export const toMinor = (value, currency) => Math.round(value * 10 ** getMinorDigits(currency))
+
+// Detect the currency of a typed price from an ISO code or a symbol
+const detectCurrency = (text) => {
+  const codeMatch = text.toUpperCase().match(/(?:^|[^A-Z])([A-Z]{3})(?![A-Z])/)
+  if (codeMatch && isValidCurrency(codeMatch[1])) {
+    return codeMatch[1]
+  }
+  const symbol = CURRENCY_SYMBOLS.find(([symbol]) => text.includes(symbol))
+  return symbol ? symbol[1] : null
+}
+
+// Turn a localized number string into a plain decimal string
+// Handles "1,29,999.50" (Indian grouping), "1.299,00" (decimal comma) and "1 299,00"
+const normalizeNumber = (raw, currency) => {
+  const number = raw.replace(/[\s']/g, '')
+  const lastComma = number.lastIndexOf(',')
+  const lastDot = number.lastIndexOf('.')
+
+  // Both separators present: whichever comes last is the decimal point
+  if (lastComma !== -1 && lastDot !== -1) {
+    return lastComma > lastDot
+      ? number.replace(/\./g, '').replace(',', '.')
+      : number.replace(/,/g, '')
+  }
+
+  const separator = lastComma !== -1 ? ',' : lastDot !== -1 ? '.' : null
+  if (!separator) return number
+
+  const parts = number.split(separator)
+  // Repeated separator can only be digit grouping
+  if (parts.length > 2) return parts.join('')
+
+  // A single separator followed by exactly three digits is grouping, unless the currency uses three decimals
+  if (parts[1].length === 3 && getMinorDigits(currency) !== 3) return parts.join('')
+
+  return `${parts[0]}.${parts[1]}`
+}
+
+// Find the number and currency in text such as "₹1,299", "$1,299.99" or "1.299,00 €", ignoring any other words
+// Returns { amount, currency, number } with amount in minor units, or null when there is no number
+const findPrice = (text, fallbackCurrency) => {
+  if (typeof text !== 'string') return null
+  const currency = detectCurrency(text) || fallbackCurrency
+  const numberMatch = text.match(/\d[\d.,\s']*/)
+  if (!numberMatch) return null
+
+  const raw = numberMatch[0].replace(/[.,\s']+$/, '')
+  const value = parseFloat(normalizeNumber(raw, currency))
+  if (!Number.isFinite(value)) return null
+
+  return { amount: toMinor(value, currency), currency, number: numberMatch[0] }
+}
+
+// Whether text is only a number with currency symbols or codes around it, plus an optional "/-" as in "₹500/-"
+// Rejects signs, exponents and other words, which findPrice would skip over ("-5", "1e5", "12abc")
+const isPlainPrice = (text, number) => {
+  const rest = CURRENCY_SYMBOLS
+    .reduce((remaining, [symbol]) => remaining.split(symbol).join(' '), text.replace(number, ' '))
+    .replace(/(?<![a-z])[a-z]{3}(?![a-z])/gi, code => (isValidCurrency(code.toUpperCase()) ? ' ' : code))
+    .replace(/\/-\s*$/, '')
+  return rest.trim() === ''
+}
+
+// Parse a typed price such as "₹1,299", "$1,299.99" or "1.299,00 €"
+// Returns { amount, currency } with amount in minor units, or null unless the text is just a price
+export const parsePrice = (text, fallbackCurrency = DEFAULT_CURRENCY) => {
+  const price = findPrice(text, fallbackCurrency)
+  if (!price || !isPlainPrice(text, price.number)) return null
+  return { amount: price.amount, currency: price.currency }
+}
+
+// Format a minor-unit amount for display in the user's locale
+export const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(toMajor(amount, currency))
+}
+
+// Plain decimal string for editing a price in a form input
+export const formatAmountInput = (amount, currency) => {
+  return toMajor(amount, currency).toFixed(getMinorDigits(currency))
+}
+
+// Format totals grouped by currency, e.g. "₹2,598.00 + $19.99"
+export const formatTotals = (totals) => {
+  const entries = Object.entries(totals)
+  if (entries.length === 0) return formatMoney(0, DEFAULT_CURRENCY)
+  return entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ')
+}
+
+// Convert a legacy free-text `price` into `amount` and `currency`
+export const migrateItemPrice = (item) => {
+  if (typeof item.amount === 'number' && item.currency) return item
+  const { price, ...rest } = item
+  // Old prices were free text, so keep whatever number they contain
+  const parsed = findPrice(String(price ?? ''), DEFAULT_CURRENCY)
+  return {
+    ...rest,
+    amount: parsed ? parsed.amount : 0,
+    currency: parsed ? parsed.currency : DEFAULT_CURRENCY
+  }
+}
@@ -0,0 +1,54 @@
+// Price history summaries and price-drop alerts
+
+import { formatMoney } from './price'
+
+// Group price history entries by item id, oldest first
+export const groupPriceHistory = (entries) => {
+  const byItem = {}
+  entries.forEach(entry => {
+    if (!byItem[entry.itemId]) byItem[entry.itemId] = []
+    byItem[entry.itemId].push(entry)
+  })
+  Object.values(byItem).forEach(itemEntries => itemEntries.sort((a, b) => a.recordedAt - b.recordedAt))
+  return byItem
+}
+
+// Summarize an item's history in its current currency
+// Returns { points, lowest, changePercent } where changePercent compares the current price to the first one seen
+export const summarizePriceHistory = (item, entries = []) => {
+  const points = entries.filter(entry => entry.currency === item.currency)
+  if (points.length === 0) {
+    return { points, lowest: item.amount, changePercent: null }
+  }
+
+  const lowest = Math.min(item.amount, ...points.map(point => point.amount))
+  const first = points[0].amount
+  const changePercent = first > 0 ? ((item.amount - first) / first) * 100 : null
+  return { points, lowest, changePercent }
+}
+
+// Check whether an item's price has reached its target
+export const isAtOrBelowTarget = (item) => {
+  return item.targetAmount != null && item.amount <= item.targetAmount
+}
+
+// Ask for notification permission, used when a target price is first set
+export const requestPriceAlertPermission = () => {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {})
+  }
+}
+
+// Show a system notification for a price drop, if the user allowed notifications
+export const notifyPriceDrop = (item) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return
+  try {
+    new Notification('Price drop', {
+      body: `${item.name} is now ${formatMoney(item.amount, item.currency)} (target ${formatMoney(item.targetAmount, item.currency)})`,
+      tag: `price-drop-${item.id}`
+    })
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing price drop notification:', error)
+  }
+}
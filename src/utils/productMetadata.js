@@ -0,0 +1,187 @@
+// Quick add: read a product's name, price, currency and image from its page metadata
+// Sources, best first: schema.org Product JSON-LD, Open Graph / product meta tags, microdata, <title>
+
+import { CURRENCIES, formatAmountInput, isValidCurrency, toMinor } from './price'
+
+// Returns { name, link, price, currency, image }, with '' for anything not found
+// The bookmarklet runs this function on the product page through its source text,
+// so it must not use anything from outside its own body
+export const extractProductMetadata = (html, pageURL = '') => {
+  const decodeEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+
+  const clean = (value) => (value == null ? '' : decodeEntities(String(value)).replace(/\s+/g, ' ').trim())
+
+  // Attributes of one tag, lower-cased names
+  const readAttributes = (tag) => {
+    const attributes = {}
+    const pattern = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g
+    let match
+    while ((match = pattern.exec(tag))) {
+      attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5]
+    }
+    return attributes
+  }
+
+  // <meta> values keyed by property, name or itemprop; the first one wins
+  const meta = {}
+  ;(html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = readAttributes(tag)
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase()
+    if (key && attributes.content && !(key in meta)) meta[key] = clean(attributes.content)
+  })
+
+  // Microdata on other elements, e.g. <span itemprop="price" content="24.99">
+  const itemprops = {}
+  ;(html.match(/<(?!meta\b)[a-z][^>]*\bitemprop\s*=[^>]*>/gi) || []).forEach(tag => {
+    const attributes = readAttributes(tag)
+    const key = (attributes.itemprop || '').toLowerCase()
+    const value = attributes.content ?? attributes.src ?? attributes.href
+    if (key && value && !(key in itemprops)) itemprops[key] = clean(value)
+  })
+
+  // Every JSON-LD node, flattening arrays and @graph
+  const nodes = []
+  const collectNodes = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collectNodes)
+    } else if (value && typeof value === 'object') {
+      nodes.push(value)
+      if (value['@graph']) collectNodes(value['@graph'])
+    }
+  }
+  const scriptPattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi
+  let scriptMatch
+  while ((scriptMatch = scriptPattern.exec(html))) {
+    try {
+      collectNodes(JSON.parse(scriptMatch[1].trim()))
+    } catch {
+      // Broken JSON-LD is common; the other sources still apply
+    }
+  }
+  const hasType = (node, type) => [].concat(node['@type'] || []).some(value => String(value).toLowerCase() === type)
+  const product = nodes.find(node => hasType(node, 'product') || hasType(node, 'productgroup')) || {}
+
+  // Price and currency from an Offer, AggregateOffer or their priceSpecification
+  const offers = [].concat(product.offers || [])
+  const offer = offers.find(candidate => candidate && (candidate.price != null || candidate.lowPrice != null || candidate.priceSpecification)) || {}
+  const specification = [].concat(offer.priceSpecification || [])[0] || {}
+  const offerPrice = offer.price ?? offer.lowPrice ?? specification.price
+  const offerCurrency = offer.priceCurrency || specification.priceCurrency
+
+  const imageURL = (value) => {
+    const image = [].concat(value || [])[0]
+    return clean(image && typeof image === 'object' ? image.url || image.contentUrl : image)
+  }
+
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)
+  const canonicalTag = (html.match(/<link\b[^>]*rel\s*=\s*["']?canonical["']?[^>]*>/i) || [])[0]
+  const first = (...values) => values.map(clean).find(Boolean) || ''
+
+  let name = first(product.name, meta['og:title'], meta['twitter:title'], itemprops.name, titleMatch && titleMatch[1])
+  // Drop a trailing " | Store" or " - Store" naming the site
+  const siteName = meta['og:site_name']
+  if (siteName && name.length > siteName.length) {
+    const suffix = name.slice(-siteName.length - 3)
+    if (/^\s[|\-–—:]\s/.test(suffix.slice(0, 3)) && suffix.slice(3).toLowerCase() === siteName.toLowerCase()) {
+      name = name.slice(0, -siteName.length - 3).trim()
+    }
+  }
+
+  const price = first(
+    offerPrice,
+    meta['product:price:amount'], meta['og:price:amount'], meta['product:sale_price:amount'],
+    meta.price, itemprops.price, meta['twitter:data1'] && /\d/.test(meta['twitter:data1']) ? meta['twitter:data1'] : ''
+  )
+  const currency = first(
+    offerCurrency,
+    meta['product:price:currency'], meta['og:price:currency'], meta['product:sale_price:currency'],
+    meta.pricecurrency, itemprops.pricecurrency
+  ).toUpperCase()
+
+  // Resolve relative links against the page
+  const resolve = (url) => {
+    if (!url) return ''
+    try {
+      return new URL(url, pageURL || undefined).href
+    } catch {
+      return url
+    }
+  }
+  const image = resolve(first(imageURL(product.image), meta['og:image'], meta['og:image:url'], meta['twitter:image'], itemprops.image))
+  const link = resolve(first(product.url, meta['og:url'], canonicalTag && readAttributes(canonicalTag).href, pageURL))
+
+  return { name, link, price, currency: /^[A-Z]{3}$/.test(currency) ? currency : '', image }
+}
+
+// Check whether pasted text is a page's HTML rather than a link
+export const looksLikeHTML = (text) => /<(html|head|meta|script|title|!doctype)\b/i.test(text)
+
+// Fetch a product page and extract its metadata
+// Most stores do not allow cross-origin reads, so callers must handle the rejection
+export const fetchProductMetadata = async (url) => {
+  const response = await fetch(url, { credentials: 'omit' })
+  if (!response.ok) {
+    throw new Error(`The page answered with status ${response.status}`)
+  }
+  return extractProductMetadata(await response.text(), response.url || url)
+}
+
+// Copy what was found into the add-item form, keeping fields that were not found
+// Machine-readable prices ("1299.00") are reformatted so the form reads them in the right currency
+export const fillFormFromMetadata = (formData, found) => {
+  const filled = { ...formData }
+  if (found.name) filled.name = found.name
+  if (found.link) filled.link = found.link
+  const currency = isValidCurrency(found.currency) ? found.currency : null
+  if (found.price) {
+    if (currency && CURRENCIES.includes(currency)) {
+      filled.currency = currency
+      filled.price = /^\d+(\.\d+)?$/.test(found.price)
+        ? formatAmountInput(toMinor(Number(found.price), currency), currency)
+        : found.price
+    } else {
+      // The currency picker does not offer it, but the price parser reads a code in the text
+      filled.price = currency ? `${found.price} ${currency}` : found.price
+    }
+  }
+  return filled
+}
+
+const QUICK_ADD_FIELDS = ['name', 'link', 'price', 'currency', 'image']
+
+// Read prefilled fields from the query string the bookmarklet opens, or null when there are none
+export const readQuickAddFromURL = (search) => {
+  const params = new URLSearchParams(search)
+  if (params.get('add') !== '1') return null
+  return Object.fromEntries(QUICK_ADD_FIELDS.map(field => [field, (params.get(field) || '').trim()]))
+}
+
+// Remove the quick-add parameters so a reload does not prefill the form again
+export const clearQuickAddFromURL = () => {
+  const url = new URL(window.location.href)
+  ;['add', ...QUICK_ADD_FIELDS].forEach(field => url.searchParams.delete(field))
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url)
+  }
+}
+
+// javascript: URL that reads the current page and opens the app with the form prefilled
+export const buildBookmarklet = (appURL) => {
+  // Statements end in semicolons because the script is not run through a bundler
+  const script = `(() => {
+    const found = (${extractProductMetadata.toString()})(document.documentElement.outerHTML, location.href);
+    const url = new URL(${JSON.stringify(appURL)});
+    url.searchParams.set('add', '1');
+    ${JSON.stringify(QUICK_ADD_FIELDS)}.forEach(field => { if (found[field]) url.searchParams.set(field, found[field]); });
+    window.open(url.href, '_blank');
+  })()`
+  return `javascript:${encodeURIComponent(script)}`
+}
@@ -0,0 +1,62 @@
+import { readFileSync } from 'node:fs'
+import { describe, expect, it } from 'vitest'
+import { extractProductMetadata } from './productMetadata'
+
+// Saved product pages, trimmed to the parts that carry metadata
+const readFixture = (name) => readFileSync(new URL(`./__fixtures__/product-pages/${name}`, import.meta.url), 'utf8')
+
+describe('extractProductMetadata', () => {
+  it('reads Open Graph and product meta tags', () => {
+    const found = extractProductMetadata(readFixture('open-graph.html'), 'https://shop.peak.example/products/trail-shoes')
+
+    expect(found).toEqual({
+      name: 'Trail Running Shoes & Laces',
+      link: 'https://shop.peak.example/products/trail-shoes?utm_source=feed',
+      price: '89.95',
+      currency: 'USD',
+      image: 'https://shop.peak.example/images/trail-shoes.jpg'
+    })
+  })
+
+  it('prefers a JSON-LD Product in @graph over meta tags, skipping broken JSON-LD', () => {
+    const found = extractProductMetadata(readFixture('json-ld-product.html'), 'https://gadget.example/p/anc-headphones?ref=home')
+
+    expect(found).toEqual({
+      name: 'Noise Cancelling Headphones',
+      link: 'https://gadget.example/p/anc-headphones',
+      price: '12999.00',
+      currency: 'INR',
+      image: 'https://cdn.gadget.example/p/anc-1.jpg'
+    })
+  })
+
+  it('reads the price from an Offer priceSpecification', () => {
+    const found = extractProductMetadata(readFixture('json-ld-price-specification.html'))
+
+    expect(found).toEqual({
+      name: 'Kaffeemühle "Classic"',
+      link: 'https://kaffee.example/muehle',
+      price: '49.9',
+      currency: 'EUR',
+      image: 'https://kaffee.example/img/muehle.png'
+    })
+  })
+
+  it('reads schema.org microdata', () => {
+    const found = extractProductMetadata(readFixture('microdata.html'), 'https://kitchen.example/skillets/cast-iron')
+
+    expect(found).toEqual({
+      name: 'Cast Iron Skillet, 26 cm',
+      link: 'https://kitchen.example/skillets/cast-iron',
+      price: '34.50',
+      currency: 'GBP',
+      image: 'https://kitchen.example/skillets/media/skillet.webp'
+    })
+  })
+
+  it('falls back to the page title and leaves the rest empty', () => {
+    const found = extractProductMetadata('<html><head><title> Plain  page </title></head></html>')
+
+    expect(found).toEqual({ name: 'Plain page', link: '', price: '', currency: '', image: '' })
+  })
+})
@@ -0,0 +1,97 @@
+// Quantities, partial purchases and variants on items
+// `amount` and `paidAmount` are per unit; `quantityBought` counts units already bought, and
+// `bought` is only true once every unit is, so a partly bought item stays in Need to Buy
+
+// Number of units wanted, 1 for items from before quantities existed
+export const getQuantity = (item) => {
+  return Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1
+}
+
+// Number of units already bought
+export const getQuantityBought = (item) => {
+  if (item.bought) return getQuantity(item)
+  return Number.isInteger(item.quantityBought) ? Math.min(Math.max(item.quantityBought, 0), getQuantity(item)) : 0
+}
+
+// Number of units still to buy
+export const getQuantityRemaining = (item) => getQuantity(item) - getQuantityBought(item)
+
+// Whether some but not all units are bought
+export const isPartlyBought = (item) => !item.bought && getQuantityBought(item) > 0
+
+// Price of every unit together, in minor units
+export const getLineTotal = (item) => item.amount * getQuantity(item)
+
+// Price of the units still to buy
+export const getRemainingTotal = (item) => item.amount * getQuantityRemaining(item)
+
+// What the bought units cost
+export const getSpentTotal = (item) => (item.paidAmount ?? item.amount) * getQuantityBought(item)
+
+// Every purchase of an item, oldest first, as { boughtAt, quantity, paidAmount, spent }
+// Recurring items keep earlier purchases in pastPurchases when they come back (see recurring.js)
+export const getPurchases = (item) => {
+  const past = (item.pastPurchases || []).map(purchase => ({ ...purchase, spent: purchase.paidAmount * purchase.quantity }))
+  const quantityBought = getQuantityBought(item)
+  if (quantityBought === 0) return past
+  return [...past, { boughtAt: item.boughtAt ?? null, quantity: quantityBought, paidAmount: item.paidAmount ?? item.amount, spent: getSpentTotal(item) }]
+}
+
+// What every purchase of an item cost together
+export const getTotalSpent = (item) => getPurchases(item).reduce((total, purchase) => total + purchase.spent, 0)
+
+// Record how many units are bought, marking the item bought once all of them are
+// paidAmount is kept per unit, defaulting to the listed price
+export const setQuantityBought = (item, count, now = Date.now()) => {
+  const quantity = getQuantity(item)
+  const quantityBought = Math.min(Math.max(Math.round(count), 0), quantity)
+  if (quantityBought === 0) {
+    return { ...item, bought: false, quantityBought: 0, boughtAt: null, paidAmount: null }
+  }
+  return {
+    ...item,
+    bought: quantityBought === quantity,
+    quantityBought,
+    // More units bought means a new purchase date; otherwise keep the one we have
+    boughtAt: quantityBought > getQuantityBought(item) || !item.boughtAt ? now : item.boughtAt,
+    paidAmount: item.paidAmount ?? item.amount
+  }
+}
+
+// Read a quantity input, or null when it is not a whole number of at least 1
+export const parseQuantity = (text) => {
+  const quantity = Number(String(text).trim())
+  return Number.isInteger(quantity) && quantity > 0 ? quantity : null
+}
+
+// Split a variant input such as "size: M, color: blue" into [{ name, value }]
+// Parts without a name, e.g. "blue", keep an empty name
+export const parseVariants = (text) => {
+  return text.split(',')
+    .map(part => {
+      const separator = part.indexOf(':')
+      return separator === -1
+        ? { name: '', value: part.trim() }
+        : { name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() }
+    })
+    .filter(variant => variant.value)
+}
+
+// Join variants back into the form used by inputs
+export const formatVariants = (variants = []) => {
+  return variants.map(({ name, value }) => name ? `${name}: ${value}` : value).join(', ')
+}
+
+// Check a stored variants value
+export const isValidVariants = (variants) => {
+  return Array.isArray(variants) &&
+    variants.every(variant => variant && typeof variant.name === 'string' && typeof variant.value === 'string')
+}
+
+// Fill in quantity fields for items created before they existed
+export const migrateItemQuantity = (item) => ({
+  ...item,
+  quantity: getQuantity(item),
+  quantityBought: getQuantityBought(item),
+  variants: isValidVariants(item.variants) ? item.variants : []
+})
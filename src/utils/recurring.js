@@ -0,0 +1,95 @@
+// Recurring items: consumables that come back to Need to Buy some days after they were bought
+// item.repeat is 'fixed' (every repeatDays days) or 'learned' (the usual gap between purchases,
+// with repeatDays as the first guess until there are two purchases to learn from)
+// Due items are brought back when the app opens, so this needs no background service and works offline
+// Bringing an item back moves its purchase to pastPurchases, so spending totals keep it
+
+import { getPurchases, getQuantityBought } from './quantity'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const REPEAT_OPTIONS = [
+  ['', 'Does not repeat'],
+  ['fixed', 'Every few days'],
+  ['learned', 'When it usually runs out']
+]
+
+// How far ahead the Due Soon section looks
+export const DUE_SOON_DAYS = 7
+
+// Earlier purchases kept per item, enough to learn from and to keep a year or two of spending
+const MAX_PAST_PURCHASES = 24
+
+// Only recent gaps count, so the estimate follows changing habits
+const LEARN_FROM_GAPS = 5
+
+// Typical days between purchases: the median of the last few gaps, so one late purchase does not skew it
+// Returns null until the item has been bought twice
+export const getLearnedInterval = (item) => {
+  const dates = getPurchases(item).map(purchase => purchase.boughtAt).filter(Boolean).sort((a, b) => a - b)
+  const gaps = dates
+    .slice(1)
+    .map((date, index) => (date - dates[index]) / DAY_MS)
+    .filter(gap => gap > 0)
+    .slice(-LEARN_FROM_GAPS)
+    .sort((a, b) => a - b)
+  if (gaps.length === 0) return null
+  const middle = Math.floor(gaps.length / 2)
+  const median = gaps.length % 2 === 1 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2
+  return Math.max(1, Math.round(median))
+}
+
+// Days after a purchase until the item is needed again, or null when it does not repeat (or has no estimate yet)
+export const getRepeatInterval = (item) => {
+  if (item.repeat === 'fixed') return item.repeatDays || null
+  if (item.repeat === 'learned') return getLearnedInterval(item) ?? item.repeatDays ?? null
+  return null
+}
+
+// When a bought recurring item is due back in Need to Buy, or null
+export const getDueAt = (item) => {
+  const interval = getRepeatInterval(item)
+  if (!item.bought || !item.boughtAt || !interval) return null
+  return item.boughtAt + interval * DAY_MS
+}
+
+// Bought recurring items whose time has come
+export const findDueItems = (items, now = Date.now()) => {
+  return items.filter(item => {
+    const dueAt = getDueAt(item)
+    return dueAt !== null && dueAt <= now
+  })
+}
+
+// Bought recurring items due within the next few days, soonest first, as [{ item, dueAt }]
+export const getDueSoon = (items, now = Date.now(), days = DUE_SOON_DAYS) => {
+  return items
+    .map(item => ({ item, dueAt: getDueAt(item) }))
+    .filter(({ dueAt }) => dueAt !== null && dueAt > now && dueAt <= now + days * DAY_MS)
+    .sort((a, b) => a.dueAt - b.dueAt)
+}
+
+// Put an item back in Need to Buy, keeping its purchase for spending totals and for learning
+export const restockItem = (item) => {
+  const purchase = { boughtAt: item.boughtAt, quantity: getQuantityBought(item), paidAmount: item.paidAmount ?? item.amount }
+  return {
+    ...item,
+    pastPurchases: [...(item.pastPurchases || []), purchase].slice(-MAX_PAST_PURCHASES),
+    bought: false,
+    quantityBought: 0,
+    boughtAt: null,
+    paidAmount: null
+  }
+}
+
+// "1 day" or "12 days"
+const formatDays = (days) => `${days} ${days === 1 ? 'day' : 'days'}`
+
+// Short description of an item's schedule, e.g. "Every 30 days" or "About every 12 days"
+export const describeRepeat = (item) => {
+  if (item.repeat === 'fixed') return item.repeatDays ? `Every ${formatDays(item.repeatDays)}` : null
+  if (item.repeat !== 'learned') return null
+  const learned = getLearnedInterval(item)
+  if (learned) return `About every ${formatDays(learned)}`
+  return item.repeatDays ? `About every ${formatDays(item.repeatDays)} (first guess)` : 'Learns from your purchases'
+}
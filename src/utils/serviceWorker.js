@@ -0,0 +1,49 @@
+// Service worker registration and the "new version available" handshake
+// The worker itself is src/sw.js, built into sw.js by vite.config.js
+
+// Register the service worker in production builds
+// onUpdate(registration) is called when a new version has been cached and is waiting to take over
+export const registerServiceWorker = async (onUpdate) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null
+
+  try {
+    const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+
+    // A previous visit may already have downloaded an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdate(registration)
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing
+      worker?.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdate(registration)
+        }
+      })
+    })
+
+    // Installed apps can stay open for days, so look for updates whenever the app comes back into view
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {})
+      }
+    })
+
+    return registration
+  } catch (error) {
+    console.error('Error registering service worker:', error)
+    return null
+  }
+}
+
+// Let the waiting worker take over, then reload once it controls the page
+export const applyServiceWorkerUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload()
+    return
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true })
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+}
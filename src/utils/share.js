@@ -0,0 +1,232 @@
+// Sharing a list as a read-only snapshot, either in a URL fragment or as a file
+// Viewers send back gift reservations ("claims") the same way
+// Link payloads are JSON compressed with deflate-raw and base64url-encoded: #share=z.<data> or #claim=z.<data>
+
+import { validateItem } from './backup'
+import { migrateItemDetails } from './itemDetails'
+import { migrateItemQuantity } from './quantity'
+
+export const SHARE_FORMAT = 'things-to-buy-share'
+export const SHARE_VERSION = 1
+export const CLAIM_FORMAT = 'things-to-buy-claim'
+export const CLAIM_VERSION = 1
+
+const SHARE_HASH_KEY = 'share'
+const CLAIM_HASH_KEY = 'claim'
+// Links longer than this get cut off by some chat apps and mail clients, so suggest the file instead
+export const MAX_SHARE_URL_LENGTH = 4000
+
+// Only the fields a viewer needs; paid prices, targets and timestamps stay private
+// Reservations travel as a plain "reserved" flag so nobody learns who is buying what
+const SHARED_FIELDS = [
+  'id', 'name', 'link', 'amount', 'currency', 'quantity', 'quantityBought', 'variants', 'bought',
+  'priority', 'category', 'tags', 'notes', 'buyTogether'
+]
+
+// Build the share document for a list and some of its items
+export const buildSharePayload = (list, items) => {
+  return {
+    format: SHARE_FORMAT,
+    version: SHARE_VERSION,
+    sharedAt: new Date().toISOString(),
+    list: { id: list.id, name: list.name },
+    items: items.map(item => ({
+      ...Object.fromEntries(SHARED_FIELDS.map(field => [field, item[field]])),
+      reserved: Boolean(item.reservation)
+    }))
+  }
+}
+
+// Encode bytes as base64url without padding
+const toBase64URL = (bytes) => {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+// Decode base64url (with or without padding) into bytes
+const fromBase64URL = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+const transformBytes = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+// Build the claim document a viewer sends back, reserving items under their name
+export const buildClaimPayload = (list, items, by) => {
+  return {
+    format: CLAIM_FORMAT,
+    version: CLAIM_VERSION,
+    claimedAt: new Date().toISOString(),
+    list: { id: list.id, name: list.name },
+    by,
+    items: items.map(item => ({ id: item.id, name: item.name }))
+  }
+}
+
+// Encode a share or claim document for a URL fragment, compressed when the browser supports it
+export const encodeSharePayload = async (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload))
+  if (typeof CompressionStream === 'undefined') {
+    return `j.${toBase64URL(bytes)}`
+  }
+  return `z.${toBase64URL(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`
+}
+
+// Bring a shared item up to date for viewing
+// Older shares carried the whole reservation, so only whether there was one is kept
+const readSharedItem = (item, listId) => {
+  const sharedItem = { ...item, listId, bought: Boolean(item?.bought), reserved: Boolean(item?.reserved || item?.reservation) }
+  delete sharedItem.reservation
+  return migrateItemQuantity(migrateItemDetails(sharedItem))
+}
+
+// Validate a parsed share document into { data: { list, items }, errors }
+export const parseSharePayload = (payload) => {
+  if (!payload || payload.format !== SHARE_FORMAT) {
+    return { data: null, errors: ['This is not a Things To Buy shared list'] }
+  }
+  if (!Number.isInteger(payload.version) || payload.version > SHARE_VERSION) {
+    return { data: null, errors: [`Shared list version ${payload.version} is not supported by this version of the app`] }
+  }
+  if (!payload.list || typeof payload.list.name !== 'string' || !Array.isArray(payload.items)) {
+    return { data: null, errors: ['Shared list is incomplete'] }
+  }
+
+  const errors = []
+  const items = payload.items
+    .map(item => readSharedItem(item, payload.list.id))
+    .filter((item, index) => {
+      const problems = validateItem(item)
+      problems.forEach(problem => errors.push(`Item #${index + 1}${item.name ? ` (${item.name})` : ''}: ${problem}`))
+      return problems.length === 0
+    })
+  return { data: { list: { id: payload.list.id, name: payload.list.name }, items, sharedAt: payload.sharedAt }, errors }
+}
+
+// Validate a parsed claim document into { data: { list, by, claimedAt, items }, errors }
+export const parseClaimPayload = (payload) => {
+  if (!payload || payload.format !== CLAIM_FORMAT) {
+    return { data: null, errors: ['This is not a Things To Buy reservation'] }
+  }
+  if (!Number.isInteger(payload.version) || payload.version > CLAIM_VERSION) {
+    return { data: null, errors: [`Reservation version ${payload.version} is not supported by this version of the app`] }
+  }
+  if (!payload.list || typeof payload.by !== 'string' || !payload.by.trim() || !Array.isArray(payload.items)) {
+    return { data: null, errors: ['Reservation is incomplete'] }
+  }
+  const claimedAt = Date.parse(payload.claimedAt)
+  return {
+    data: {
+      list: payload.list,
+      by: payload.by.trim(),
+      claimedAt: Number.isNaN(claimedAt) ? Date.now() : claimedAt,
+      items: payload.items.filter(item => item && item.id != null)
+    },
+    errors: []
+  }
+}
+
+// Parse whichever document a link or file holds into { kind: 'list' | 'claim', data, errors }
+const parseDocument = (payload) => {
+  return payload?.format === CLAIM_FORMAT
+    ? { kind: 'claim', ...parseClaimPayload(payload) }
+    : { kind: 'list', ...parseSharePayload(payload) }
+}
+
+// Decode a URL fragment payload into { kind, data, errors }
+export const decodeSharePayload = async (text) => {
+  try {
+    const [encoding, data] = text.split('.')
+    let bytes = fromBase64URL(data || '')
+    if (encoding === 'z') {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'))
+    } else if (encoding !== 'j') {
+      throw new Error(`unknown encoding "${encoding}"`)
+    }
+    return parseDocument(JSON.parse(new TextDecoder().decode(bytes)))
+  } catch (error) {
+    console.error('Error decoding shared link:', error)
+    return { kind: 'list', data: null, errors: ['This shared link is damaged or incomplete'] }
+  }
+}
+
+// Parse a downloaded share or claim file into { kind, data, errors }
+export const parseShareFile = (text) => {
+  try {
+    return parseDocument(JSON.parse(text))
+  } catch {
+    return { kind: 'list', data: null, errors: ['File is not valid JSON'] }
+  }
+}
+
+// Full link to this app with an encoded payload in the fragment
+const buildLink = (key, encoded) => {
+  const url = new URL(window.location.href)
+  url.search = ''
+  url.hash = `${key}=${encoded}`
+  return url.href
+}
+
+export const buildShareURL = (encoded) => buildLink(SHARE_HASH_KEY, encoded)
+
+export const buildClaimURL = (encoded) => buildLink(CLAIM_HASH_KEY, encoded)
+
+// Encoded share or claim payload from a location hash, or null when it is neither
+export const readShareFromHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  return params.get(SHARE_HASH_KEY) ?? params.get(CLAIM_HASH_KEY)
+}
+
+// Remove the payload from the address bar once it has been handled
+export const clearShareHash = () => {
+  const url = new URL(window.location.href)
+  if (readShareFromHash(url.hash) === null) return
+  url.hash = ''
+  window.history.replaceState(window.history.state, '', url)
+}
+
+// Work out the reservations a claim makes on local items
+// Returns { changes: [{ item, updatedItem }], missing: [names], taken: [items reserved by someone else] }
+export const applyClaim = (claim, localItems) => {
+  const changes = []
+  const missing = []
+  const taken = []
+  claim.items.forEach(claimedItem => {
+    const item = localItems.find(item => item.id === claimedItem.id)
+    if (!item) {
+      missing.push(claimedItem.name || String(claimedItem.id))
+    } else if (item.reservation && item.reservation.by !== claim.by) {
+      // First come, first served
+      taken.push(item)
+    } else {
+      changes.push({ item, updatedItem: { ...item, reservation: { by: claim.by, at: claim.claimedAt } } })
+    }
+  })
+  return { changes, missing, taken }
+}
+
+// Work out the items that result from bringing shared items into a local list
+// Items already in that list are updated in place; ids used elsewhere get a fresh id
+export const mergeSharedItems = (sharedItems, localItems, listId) => {
+  const localById = new Map(localItems.map(item => [item.id, item]))
+  let nextId = Date.now()
+  return sharedItems.map(sharedItemWithFlag => {
+    // The reserved flag is only for viewers; local items keep their own reservations
+    const sharedItem = { ...sharedItemWithFlag }
+    delete sharedItem.reserved
+    const existing = localById.get(sharedItem.id)
+    if (existing && existing.listId === listId) {
+      // Keep local purchase details, take the sharer's description of the item
+      return { ...existing, ...sharedItem, bought: existing.bought, quantityBought: existing.quantityBought, listId }
+    }
+    const id = existing ? nextId++ : sharedItem.id
+    return { ...sharedItem, id, listId, bought: false, quantityBought: 0, boughtAt: null, paidAmount: null }
+  })
+}
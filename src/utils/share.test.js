@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest'
+import { buildSharePayload, mergeSharedItems, parseSharePayload } from './share'
+
+const list = { id: 1, name: 'Birthday' }
+const reservation = { by: 'Asha', at: 5000 }
+const items = [
+  { id: 2, listId: 1, name: 'Board game', link: 'https://shop.example/game', amount: 349900, currency: 'INR', bought: false, reservation },
+  { id: 3, listId: 1, name: 'Scarf', link: 'https://shop.example/scarf', amount: 99900, currency: 'INR', bought: false, reservation: null }
+]
+
+describe('shared lists', () => {
+  it('say which items are reserved without naming who reserved them', () => {
+    const payload = buildSharePayload(list, items)
+
+    expect(payload.items.map(item => item.reserved)).toEqual([true, false])
+    expect(JSON.stringify(payload)).not.toContain('Asha')
+  })
+
+  it('drop reserver names from shares made before the reserved flag', () => {
+    const payload = buildSharePayload(list, items)
+    payload.items[0] = { ...payload.items[0], reservation, reserved: undefined }
+    const { data, errors } = parseSharePayload(JSON.parse(JSON.stringify(payload)))
+
+    expect(errors).toEqual([])
+    expect(data.items[0].reserved).toBe(true)
+    expect(data.items[0]).not.toHaveProperty('reservation')
+  })
+
+  it('keep local reservations when merged back into the list', () => {
+    const { data } = parseSharePayload(buildSharePayload(list, items))
+    const [merged] = mergeSharedItems(data.items, items, 1)
+
+    expect(merged.reservation).toEqual(reservation)
+    expect(merged).not.toHaveProperty('reserved')
+  })
+})
@@ -0,0 +1,111 @@
+// Sync documents: the replicated form of a record, shared by the browser sync engine and the sync server
+// A document keeps a register { value, ts, device } per field plus an optional tombstone { ts, device },
+// and two copies merge field by field, the newest register winning (ties broken by device id)
+// This module has no imports so Node can load it directly (see server/sync-server.js)
+
+// Record fields that are local bookkeeping rather than data
+const LOCAL_FIELDS = ['id', 'updatedAt']
+
+// Order two stamps by time, then by device id so every replica picks the same winner
+export const compareStamps = (a, b) => {
+  if (!a || !b) return a ? 1 : b ? -1 : 0
+  if (a.ts !== b.ts) return a.ts > b.ts ? 1 : -1
+  return a.device > b.device ? 1 : a.device < b.device ? -1 : 0
+}
+
+// Key of a record's document, e.g. 'item:1712345678901'
+export const getDocKey = (kind, id) => `${kind}:${id}`
+
+// Latest field stamp of a document
+const getLatestFieldStamp = (doc) => {
+  return Object.values(doc.fields).reduce((latest, register) => (compareStamps(register, latest) > 0 ? register : latest), null)
+}
+
+// Time of the latest change to a document, field or tombstone
+export const getDocTime = (doc) => {
+  const latest = getLatestFieldStamp(doc)
+  return Math.max(latest ? latest.ts : 0, doc.deleted ? doc.deleted.ts : 0)
+}
+
+// A record is deleted when its tombstone is newer than every field change
+export const isDocDeleted = (doc) => {
+  return Boolean(doc.deleted) && compareStamps(doc.deleted, getLatestFieldStamp(doc)) > 0
+}
+
+// Merge two copies of the same document
+export const mergeDocs = (a, b) => {
+  const fields = { ...a.fields }
+  Object.entries(b.fields).forEach(([field, register]) => {
+    if (compareStamps(register, fields[field]) > 0) fields[field] = register
+  })
+  return {
+    key: a.key,
+    kind: a.kind,
+    id: a.id,
+    fields,
+    deleted: compareStamps(b.deleted, a.deleted) > 0 ? b.deleted : a.deleted
+  }
+}
+
+// Compare field values by content, so arrays and objects that did not change are not re-sent
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Check whether two documents hold the same registers
+export const sameDoc = (a, b) => {
+  return JSON.stringify(a.fields) === JSON.stringify(b.fields) && compareStamps(a.deleted, b.deleted) === 0
+}
+
+// The record a live document describes
+export const docToRecord = (doc) => {
+  const record = { id: doc.id }
+  Object.entries(doc.fields).forEach(([field, register]) => {
+    record[field] = register.value
+  })
+  return record
+}
+
+// Check whether a local record already matches a document's values
+export const recordMatchesDoc = (record, doc) => {
+  const fields = new Set([...Object.keys(doc.fields), ...Object.keys(record).filter(field => !LOCAL_FIELDS.includes(field))])
+  return [...fields].every(field => sameValue(record[field], doc.fields[field]?.value))
+}
+
+// Update a document with the local state of its record, returning null when nothing changed
+// `record` is null when the record no longer exists locally; `ts` stamps the change
+export const updateDocFromRecord = (doc, kind, id, record, ts, device) => {
+  const base = doc || { key: getDocKey(kind, id), kind, id, fields: {}, deleted: null }
+
+  if (!record) {
+    if (!doc || isDocDeleted(doc)) return null
+    // The tombstone has to be newer than every field for the delete to stick
+    const latest = getLatestFieldStamp(doc)
+    return { ...base, deleted: { ts: Math.max(ts, latest ? latest.ts + 1 : 0), device } }
+  }
+
+  // New and resurrected records send every field; bringing one back has to outdate its tombstone
+  const resurrect = Boolean(doc) && isDocDeleted(doc)
+  const sendAll = !doc || resurrect
+  const stampTime = resurrect ? Math.max(ts, doc.deleted.ts + 1) : ts
+  const fields = { ...base.fields }
+  let changed = false
+  const fieldNames = new Set([...Object.keys(fields), ...Object.keys(record).filter(field => !LOCAL_FIELDS.includes(field))])
+  fieldNames.forEach(field => {
+    if (sendAll || !sameValue(record[field], fields[field]?.value)) {
+      fields[field] = { value: record[field] ?? null, ts: stampTime, device }
+      changed = true
+    }
+  })
+  return changed ? { ...base, fields } : null
+}
+
+// Check the shape of a document received over the wire
+export const isValidDoc = (doc) => {
+  const isStamp = (stamp) => stamp && Number.isFinite(stamp.ts) && typeof stamp.device === 'string'
+  return Boolean(doc) &&
+    typeof doc.key === 'string' &&
+    typeof doc.kind === 'string' &&
+    doc.id != null &&
+    doc.fields !== null && typeof doc.fields === 'object' &&
+    Object.values(doc.fields).every(isStamp) &&
+    (doc.deleted === null || isStamp(doc.deleted))
+}
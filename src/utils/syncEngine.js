@@ -0,0 +1,96 @@
+// Sync engine: exchanges item and list changes with a sync server through a transport
+// Local records are compared with their sync documents to find what changed since the last sync,
+// changes are pushed, everything newer than our cursor is pulled and merged (see utils/syncDocs),
+// and the records that need to change locally are handed back to the caller to apply
+
+import { getAllSyncDocs, saveSyncDocs, getSetting, saveSetting } from './indexedDB'
+import {
+  docToRecord,
+  getDocKey,
+  getDocTime,
+  isDocDeleted,
+  mergeDocs,
+  recordMatchesDoc,
+  updateDocFromRecord
+} from './syncDocs'
+
+// Settings that belong to this browser's connection to the sync server, including its token
+// They are never put in backups, and a restore keeps the browser's own
+export const SYNC_SETTING_KEYS = ['syncServerURL', 'syncToken', 'syncDeviceId', 'syncCursor', 'lastSyncedAt']
+
+// Fold local records into their documents, returning the documents that changed
+// collections: { [kind]: { records, getDeletedAt(id) } }
+export const collectLocalChanges = (collections, docsByKey, device, now = Date.now()) => {
+  const changed = []
+  Object.entries(collections).forEach(([kind, { records, getDeletedAt }]) => {
+    const recordIds = new Set()
+    records.forEach(record => {
+      recordIds.add(record.id)
+      const doc = updateDocFromRecord(docsByKey.get(getDocKey(kind, record.id)), kind, record.id, record, record.updatedAt ?? now, device)
+      if (doc) changed.push(doc)
+    })
+
+    // Documents whose record is gone become tombstones
+    docsByKey.forEach(doc => {
+      if (doc.kind !== kind || recordIds.has(doc.id)) return
+      const tombstone = updateDocFromRecord(doc, kind, doc.id, null, getDeletedAt?.(doc.id) ?? now, device)
+      if (tombstone) changed.push(tombstone)
+    })
+  })
+  return changed
+}
+
+// Work out the local puts and deletes that bring records in line with merged documents
+// Written records get an updatedAt newer than the local copy so they replace it everywhere
+export const materializeDocs = (docs, collections) => {
+  const changes = Object.fromEntries(Object.keys(collections).map(kind => [kind, { puts: [], deletes: [] }]))
+  const recordsByKey = new Map()
+  Object.entries(collections).forEach(([kind, { records }]) => {
+    records.forEach(record => recordsByKey.set(getDocKey(kind, record.id), record))
+  })
+
+  docs.forEach(doc => {
+    // Kinds this version does not know about are kept on the server but not applied
+    if (!changes[doc.kind]) return
+    const local = recordsByKey.get(doc.key)
+    const updatedAt = Math.max(getDocTime(doc), (local?.updatedAt ?? 0) + 1)
+    if (isDocDeleted(doc)) {
+      if (local) changes[doc.kind].deletes.push({ id: doc.id, deletedAt: updatedAt })
+    } else if (!local || !recordMatchesDoc(local, doc)) {
+      changes[doc.kind].puts.push({ ...docToRecord(doc), updatedAt })
+    }
+  })
+  return changes
+}
+
+// Run one sync round against a transport
+// Returns { changes: { [kind]: { puts, deletes } }, pushed, pulled }
+export const runSync = async ({ transport, collections, device }) => {
+  const docsByKey = new Map((await getAllSyncDocs()).map(doc => [doc.key, doc]))
+
+  // Record local changes first, so they survive a failed push and go out next time
+  const changed = collectLocalChanges(collections, docsByKey, device).map(doc => ({ ...doc, dirty: true }))
+  if (changed.length > 0) {
+    await saveSyncDocs(changed)
+    changed.forEach(doc => docsByKey.set(doc.key, doc))
+  }
+
+  const dirty = [...docsByKey.values()].filter(doc => doc.dirty)
+  if (dirty.length > 0) {
+    await transport.push(dirty.map(doc => ({ key: doc.key, kind: doc.kind, id: doc.id, fields: doc.fields, deleted: doc.deleted })))
+    const pushed = dirty.map(doc => ({ ...doc, dirty: false }))
+    await saveSyncDocs(pushed)
+    pushed.forEach(doc => docsByKey.set(doc.key, doc))
+  }
+
+  const cursor = await getSetting('syncCursor', 0)
+  const pulled = await transport.pull(cursor)
+  const merged = pulled.docs.map(remoteDoc => {
+    const localDoc = docsByKey.get(remoteDoc.key)
+    return { ...(localDoc ? mergeDocs(localDoc, remoteDoc) : remoteDoc), dirty: false }
+  })
+  await saveSyncDocs(merged)
+  await saveSetting('syncCursor', pulled.cursor)
+
+  return { changes: materializeDocs(merged, collections), pushed: dirty.length, pulled: pulled.docs.length }
+}
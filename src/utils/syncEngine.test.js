@@ -0,0 +1,130 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { runSync } from './syncEngine'
+import { createSyncServer } from './syncServer'
+import { createLocalTransport } from './syncTransport'
+
+// Each device keeps its sync documents and settings apart; `current` is the one syncing
+const storage = vi.hoisted(() => ({ current: null }))
+
+vi.mock('./indexedDB', () => ({
+  getAllSyncDocs: async () => [...storage.current.syncDocs.values()],
+  saveSyncDocs: async (docs) => docs.forEach(doc => storage.current.syncDocs.set(doc.key, doc)),
+  getSetting: async (key, fallback) => (storage.current.settings.has(key) ? storage.current.settings.get(key) : fallback),
+  saveSetting: async (key, value) => storage.current.settings.set(key, value)
+}))
+
+// A device with its own items, trash and sync state
+const createDevice = (name) => ({ name, items: [], trash: [], syncDocs: new Map(), settings: new Map() })
+
+// Run one sync round for a device and apply the changes it hands back, as the app does
+const sync = async (device, transport) => {
+  storage.current = device
+  const result = await runSync({
+    transport,
+    collections: {
+      item: { records: device.items, getDeletedAt: (id) => device.trash.find(trashItem => trashItem.id === id)?.deletedAt }
+    },
+    device: device.name
+  })
+  const { puts, deletes } = result.changes.item
+  const deletedIds = new Set(deletes.map(({ id }) => id))
+  const putIds = new Set(puts.map(item => item.id))
+  device.items = [...device.items.filter(item => !deletedIds.has(item.id) && !putIds.has(item.id)), ...puts]
+  return result
+}
+
+// Change an item's fields locally, stamping the change like the app does
+const editItem = (device, id, changes, updatedAt) => {
+  device.items = device.items.map(item => (item.id === id ? { ...item, ...changes, updatedAt } : item))
+}
+
+// Move an item to the trash locally
+const deleteItem = (device, id, deletedAt) => {
+  device.trash = [...device.trash, { ...device.items.find(item => item.id === id), deletedAt }]
+  device.items = device.items.filter(item => item.id !== id)
+}
+
+const findItem = (device, id) => device.items.find(item => item.id === id)
+
+describe('runSync with the local transport', () => {
+  let server
+  let transport
+  let phone
+  let laptop
+
+  beforeEach(() => {
+    server = createSyncServer()
+    transport = createLocalTransport(server)
+    phone = createDevice('phone')
+    laptop = createDevice('laptop')
+    phone.items = [{ id: 1, name: 'Headphones', amount: 129900, currency: 'INR', bought: false, updatedAt: 1000 }]
+  })
+
+  it('copies a new item to the other device', async () => {
+    const pushed = await sync(phone, transport)
+    const pulled = await sync(laptop, transport)
+
+    expect(pushed.pushed).toBe(1)
+    expect(pulled.pulled).toBe(1)
+    expect(findItem(laptop, 1)).toMatchObject({ name: 'Headphones', amount: 129900, currency: 'INR', bought: false })
+  })
+
+  it('merges edits to different fields from both devices', async () => {
+    await sync(phone, transport)
+    await sync(laptop, transport)
+
+    editItem(phone, 1, { amount: 99900 }, 2000)
+    editItem(laptop, 1, { name: 'Wireless Headphones' }, 2500)
+    await sync(phone, transport)
+    await sync(laptop, transport)
+    await sync(phone, transport)
+
+    expect(findItem(phone, 1)).toMatchObject({ name: 'Wireless Headphones', amount: 99900 })
+    expect(findItem(laptop, 1)).toMatchObject({ name: 'Wireless Headphones', amount: 99900 })
+  })
+
+  it('keeps the newer edit when both devices change the same field', async () => {
+    await sync(phone, transport)
+    await sync(laptop, transport)
+
+    editItem(laptop, 1, { amount: 109900 }, 3000)
+    editItem(phone, 1, { amount: 99900 }, 2000)
+    await sync(laptop, transport)
+    await sync(phone, transport)
+    await sync(laptop, transport)
+
+    expect(findItem(phone, 1).amount).toBe(109900)
+    expect(findItem(laptop, 1).amount).toBe(109900)
+  })
+
+  it('deletes an item everywhere through its tombstone', async () => {
+    await sync(phone, transport)
+    await sync(laptop, transport)
+
+    deleteItem(phone, 1, 2000)
+    await sync(phone, transport)
+    const result = await sync(laptop, transport)
+
+    expect(result.changes.item.deletes).toEqual([expect.objectContaining({ id: 1 })])
+    expect(laptop.items).toEqual([])
+    // The server keeps the tombstone, so a device that never saw the item does not get it
+    expect(server.pull(0).docs[0].deleted).toMatchObject({ device: 'phone' })
+    const newcomer = createDevice('tablet')
+    await sync(newcomer, transport)
+    expect(newcomer.items).toEqual([])
+  })
+
+  it('lets an edit made after a delete bring the item back', async () => {
+    await sync(phone, transport)
+    await sync(laptop, transport)
+
+    deleteItem(phone, 1, 2000)
+    editItem(laptop, 1, { bought: true }, 3000)
+    await sync(phone, transport)
+    await sync(laptop, transport)
+    await sync(phone, transport)
+
+    expect(findItem(laptop, 1)).toMatchObject({ bought: true })
+    expect(findItem(phone, 1)).toMatchObject({ name: 'Headphones', bought: true })
+  })
+})
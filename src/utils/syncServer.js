@@ -0,0 +1,40 @@
+// Sync server core: stores merged documents and hands out changes by sequence number
+// Used in-process by the local transport and wrapped in HTTP by server/sync-server.js,
+// so its imports carry the .js extension that Node needs
+
+import { isValidDoc, mergeDocs, sameDoc } from './syncDocs.js'
+
+// Create a server around its state { seq, docs: { [key]: { seq, doc } } }
+// onChange(state) is called after every push that stored something, e.g. to save it to disk
+export const createSyncServer = (state = { seq: 0, docs: {} }, onChange = () => {}) => {
+  // Merge pushed documents, returning the cursor after them
+  const push = (docs) => {
+    if (!Array.isArray(docs) || !docs.every(isValidDoc)) {
+      throw new Error('Invalid sync documents')
+    }
+
+    let changed = false
+    docs.forEach(doc => {
+      const existing = state.docs[doc.key]
+      const merged = existing ? mergeDocs(existing.doc, doc) : doc
+      if (!existing || !sameDoc(existing.doc, merged)) {
+        state.seq += 1
+        state.docs[doc.key] = { seq: state.seq, doc: merged }
+        changed = true
+      }
+    })
+    if (changed) onChange(state)
+    return { cursor: state.seq }
+  }
+
+  // Documents changed after a cursor, with the cursor to ask from next time
+  const pull = (since = 0) => {
+    const docs = Object.values(state.docs)
+      .filter(entry => entry.seq > since)
+      .sort((a, b) => a.seq - b.seq)
+      .map(entry => entry.doc)
+    return { docs, cursor: state.seq }
+  }
+
+  return { push, pull }
+}
@@ -0,0 +1,33 @@
+// Sync transports: how the sync engine reaches a server
+// A transport is { push(docs) => Promise<{ cursor }>, pull(since) => Promise<{ docs, cursor }> }
+
+// Talk to a sync server over HTTP: POST {url}/push and GET {url}/pull?since=N
+export const createHttpTransport = (url, token = '') => {
+  const baseURL = url.replace(/\/+$/, '')
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  }
+
+  // Send a request and parse the JSON reply, turning HTTP errors into exceptions
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseURL}${path}`, { ...options, headers })
+    if (!response.ok) {
+      throw new Error(`Sync server replied ${response.status} ${response.statusText}`)
+    }
+    return response.json()
+  }
+
+  return {
+    push: (docs) => request('/push', { method: 'POST', body: JSON.stringify({ docs }) }),
+    pull: (since) => request(`/pull?since=${encodeURIComponent(since)}`)
+  }
+}
+
+// Talk to a server in the same process (see createSyncServer), copying payloads as a network would
+export const createLocalTransport = (server) => {
+  return {
+    push: async (docs) => structuredClone(server.push(structuredClone(docs))),
+    pull: async (since) => structuredClone(server.pull(since))
+  }
+}
@@ -0,0 +1,64 @@
+// Keeping several open tabs consistent
+// Every committed write is announced on a BroadcastChannel; other tabs apply item changes
+// directly (newest updatedAt wins) and re-read any other store that changed
+
+import { patchItems } from './history'
+
+const CHANNEL_NAME = 'things-to-buy'
+
+let channel = null
+
+// The channel for this tab, or null where BroadcastChannel is unavailable
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+  }
+  return channel
+}
+
+// Tell other tabs that items were written: { puts: [items], deletes: [{ id, deletedAt }] }
+export const broadcastItemChanges = (puts, deletes) => {
+  getChannel()?.postMessage({ type: 'items', puts, deletes })
+}
+
+// Tell other tabs to re-read whole stores, e.g. ['lists', 'settings']
+export const broadcastStoreChanges = (stores) => {
+  getChannel()?.postMessage({ type: 'stores', stores })
+}
+
+// Listen for changes made in other tabs
+// Returns a cleanup function that removes the listener
+export const subscribeToTabChanges = (listener) => {
+  const tabChannel = getChannel()
+  if (!tabChannel) return () => {}
+
+  const handleMessage = (event) => listener(event.data)
+  tabChannel.addEventListener('message', handleMessage)
+  return () => tabChannel.removeEventListener('message', handleMessage)
+}
+
+// Whether a change stamped at `changedAt` should replace the local copy of an item
+// Records from before timestamps were kept count as oldest
+export const isNewerThan = (changedAt, localItem) => {
+  return !localItem || (changedAt ?? 0) > (localItem.updatedAt ?? 0)
+}
+
+// Timestamp for a new change to a record, later than the record's own even when the device
+// that last changed it has a clock running ahead of this one
+export const getNextUpdatedAt = (record, now = Date.now()) => {
+  return Math.max(now, (record?.updatedAt ?? 0) + 1)
+}
+
+// Apply item changes from another tab, keeping local copies that were modified more recently
+export const mergeRemoteItems = (items, puts, deletes) => {
+  const itemsById = new Map(items.map(item => [item.id, item]))
+  const states = [
+    ...puts
+      .filter(item => isNewerThan(item.updatedAt, itemsById.get(item.id)))
+      .map(item => ({ id: item.id, item })),
+    ...deletes
+      .filter(({ id, deletedAt }) => itemsById.has(id) && isNewerThan(deletedAt, itemsById.get(id)))
+      .map(({ id }) => ({ id, item: null }))
+  ]
+  return states.length > 0 ? patchItems(items, states) : items
+}
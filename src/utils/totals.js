@@ -0,0 +1,55 @@
+// Total price helpers shared by the summary bar and the list switcher
+
+import { UNCATEGORIZED } from './itemDetails'
+import { getRemainingTotal, getTotalSpent } from './quantity'
+
+// Sum amounts per currency, e.g. { INR: 259800, USD: 1999 }
+// getAmount picks what to add up for each item, by default the price of the units still to buy
+export const sumByCurrency = (items, getAmount = getRemainingTotal) => {
+  const totals = {}
+  items.forEach(item => {
+    const amount = getAmount(item)
+    if (amount === 0) return
+    totals[item.currency] = (totals[item.currency] || 0) + amount
+  })
+  return totals
+}
+
+// Calculate totals for the units still to buy, grouped by currency
+// A partly bought item counts here for its remaining units and in the spent totals for the rest
+export const calculateTotals = (items) => {
+  return sumByCurrency(items, getRemainingTotal)
+}
+
+// Calculate what was spent on bought units, grouped by currency, including earlier purchases of recurring items
+export const calculateSpentTotals = (items) => {
+  return sumByCurrency(items, getTotalSpent)
+}
+
+// Count items and sum unbought prices per list id
+export const getListStats = (items) => {
+  const stats = {}
+  items.forEach(item => {
+    if (!stats[item.listId]) {
+      stats[item.listId] = { count: 0, needToBuy: 0, totals: {} }
+    }
+    const listStats = stats[item.listId]
+    listStats.count += 1
+    if (!item.bought) {
+      listStats.needToBuy += 1
+      listStats.totals[item.currency] = (listStats.totals[item.currency] || 0) + getRemainingTotal(item)
+    }
+  })
+  return stats
+}
+
+// Calculate totals for units still to buy per category, e.g. { Electronics: { INR: 129900 } }
+export const calculateTotalsByCategory = (items) => {
+  const byCategory = {}
+  items.filter(item => !item.bought).forEach(item => {
+    const category = item.category || UNCATEGORIZED
+    if (!byCategory[category]) byCategory[category] = {}
+    byCategory[category][item.currency] = (byCategory[category][item.currency] || 0) + getRemainingTotal(item)
+  })
+  return byCategory
+}
@@ -0,0 +1,106 @@
+// Vendors: which shop a product link belongs to, for grouping purchases by store
+// An alias is { domain, name } and maps a domain and its subdomains to a vendor name, e.g. amzn.in → Amazon
+// A free-shipping threshold is { vendor, amount, currency } with amount in minor units
+
+import { calculateGrandTotal } from './exchangeRates'
+import { calculateTotals } from './totals'
+
+// Second-level labels under which shops register, e.g. amazon.co.uk or flipkart.com.au
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'ac', 'gov', 'edu', 'ne', 'or'])
+
+// Host name of a link in lower case without "www.", or '' when it is not a URL
+export const getLinkHost = (link) => {
+  try {
+    return new URL(link).hostname.toLowerCase().replace(/^www\./, '')
+  } catch {
+    return ''
+  }
+}
+
+// Whether a link is an http(s) address, so opening it cannot run script in this page
+const isWebLink = (link) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol)
+  } catch {
+    return false
+  }
+}
+
+// The domain a shop registered, dropping subdomains: smile.amazon.com → amazon.com
+export const getRegistrableDomain = (host) => {
+  const labels = host.split('.')
+  if (labels.length <= 2 || /^[\d.]+$/.test(host)) return host
+  const keep = SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) && labels[labels.length - 1].length === 2 ? 3 : 2
+  return labels.slice(-keep).join('.')
+}
+
+// Tidy an alias domain typed by the user: "https://www.Amzn.in/" → "amzn.in"
+export const normalizeAliasDomain = (text) => {
+  const trimmed = text.trim().toLowerCase()
+  return (getLinkHost(/^[a-z][a-z\d+.-]*:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`) || trimmed).replace(/\.$/, '')
+}
+
+// Vendor name for a link: the most specific matching alias, otherwise its registrable domain
+// Returns '' for links without a host
+export const getVendor = (link, aliases = []) => {
+  const host = getLinkHost(link)
+  if (!host) return ''
+  const alias = aliases
+    .filter(alias => host === alias.domain || host.endsWith(`.${alias.domain}`))
+    .sort((a, b) => b.domain.length - a.domain.length)[0]
+  return alias ? alias.name : getRegistrableDomain(host)
+}
+
+// Registrable domains of the links that no alias covers yet, for suggesting new aliases
+export const getUnaliasedDomains = (items, aliases = []) => {
+  const domains = items
+    .map(item => getLinkHost(item.link))
+    .filter(host => host && !aliases.some(alias => host === alias.domain || host.endsWith(`.${alias.domain}`)))
+    .map(getRegistrableDomain)
+  return [...new Set(domains)].sort()
+}
+
+// Group items by vendor, biggest group first and unknown links last
+// Returns [{ key, label, items }] like groupItems
+export const groupItemsByVendor = (items, aliases = []) => {
+  const groups = new Map()
+  items.forEach(item => {
+    const vendor = getVendor(item.link, aliases)
+    if (!groups.has(vendor)) groups.set(vendor, [])
+    groups.get(vendor).push(item)
+  })
+  return [...groups.entries()]
+    .sort(([a, aItems], [b, bItems]) => (a === '') - (b === '') || bItems.length - aItems.length || a.localeCompare(b))
+    .map(([vendor, vendorItems]) => ({ key: vendor || 'unknown', label: vendor || 'Unknown store', items: vendorItems }))
+}
+
+// How far a store's remaining items are from its free-shipping threshold
+// Returns null without a threshold, otherwise { subtotal, threshold, shortBy, qualifies, missing } in the threshold's currency
+export const getFreeShippingStatus = (vendor, items, thresholds, baseCurrency, rates) => {
+  const threshold = thresholds.find(threshold => threshold.vendor === vendor)
+  if (!threshold) return null
+  const subtotal = calculateGrandTotal(calculateTotals(items), threshold.currency, baseCurrency, rates)
+  return {
+    subtotal: subtotal.amount,
+    threshold,
+    shortBy: Math.max(threshold.amount - subtotal.amount, 0),
+    qualifies: subtotal.amount >= threshold.amount,
+    missing: subtotal.missing
+  }
+}
+
+// Open each link in its own tab, returning how many the browser blocked
+// Browsers usually allow only the first pop-up per click until the site is allowed to open more
+// Anything that is not an http(s) link is skipped
+export const openLinks = (links) => {
+  let blocked = 0
+  links.filter(isWebLink).forEach(link => {
+    const opened = window.open(link, '_blank')
+    if (opened) {
+      opened.opener = null
+    } else {
+      blocked++
+    }
+  })
+  return blocked
+}
@@ -1,8 +1,56 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
 import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
 
+const SERVICE_WORKER_SOURCE = 'src/sw.js'
+
+// Every file under a directory, as paths relative to it with forward slashes
+const listFiles = (dir) => {
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => relative(dir, join(entry.parentPath, entry.name)).split(sep).join('/'))
+}
+
+// Emit sw.js with the built files to precache and a version that changes whenever any of them does
+const precacheServiceWorker = () => {
+  let publicDir
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const bundled = Object.values(bundle).filter(output => !output.fileName.endsWith('.map'))
+      bundled.forEach(output => {
+        hash.update(output.fileName)
+        hash.update(output.type === 'chunk' ? output.code : output.source)
+      })
+      const publicFiles = publicDir ? listFiles(publicDir) : []
+      publicFiles.forEach(file => {
+        hash.update(file)
+        hash.update(readFileSync(join(publicDir, file)))
+      })
+      const template = readFileSync(SERVICE_WORKER_SOURCE, 'utf8')
+      hash.update(template)
+
+      const urls = [...new Set(['index.html', ...bundled.map(output => output.fileName), ...publicFiles])]
+      const manifest = { version: hash.digest('hex').slice(0, 12), urls }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)}\n\n${template}`
+      })
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), precacheServiceWorker()],
 })